@@ -7,18 +7,420 @@
  * Exposes a HomeKit Television with inputs, volume (TelevisionSpeaker), and brightness (as a Lightbulb service).
  */
 
+const fs = require('fs');
+const path = require('path');
 const net = require('net');
+const dgram = require('dgram');
+const http = require('http');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
 let hap;
 
 const PLUGIN_NAME = 'homebridge-philips-dline-sicp';
 const PLATFORM_NAME = 'PhilipsDLinePlatform';
 
+/**
+ * Default SICP IR remote-control simulation mapping: [command, keyCode] per HomeKit RemoteKey name.
+ * MENU is sent for PowerModeSelection ("View TV Settings" in the iOS remote).
+ * Firmwares differ, so each display can override the command and any key with "remoteKeys".
+ */
+const DEFAULT_REMOTE_KEYS = {
+  command: '0xDB',
+  keys: {
+    ARROW_UP: '0x58',
+    ARROW_DOWN: '0x59',
+    ARROW_LEFT: '0x5A',
+    ARROW_RIGHT: '0x5B',
+    SELECT: '0x5C',
+    BACK: '0x0A',
+    EXIT: '0x9F',
+    INFORMATION: '0x0F',
+    PLAY_PAUSE: '0x2C',
+    REWIND: '0x2B',
+    FAST_FORWARD: '0x28',
+    NEXT_TRACK: '0x20',
+    PREVIOUS_TRACK: '0x21',
+    MENU: '0x54',
+  },
+};
+
+/** SICP Video Parameters (0x32 set / 0x33 get) field order after the command byte */
+const VIDEO_PARAMETERS = ['brightness', 'color', 'contrast', 'sharpness', 'tint', 'blackLevel', 'gamma'];
+
+/**
+ * SICP Power Saving Mode (0xD2) values, picked with "standbyMode".
+ * Modes 1 and 2 switch the LAN port off in standby, so they need Wake-on-LAN ("mac").
+ */
+const STANDBY_MODES = {
+  mode1: 0x04, // TCP off, WOL on, auto power on when a signal is detected
+  mode2: 0x05, // TCP off, WOL on, no auto power on
+  mode3: 0x06, // TCP on, WOL off, auto power on when a signal is detected
+  mode4: 0x07, // TCP on, WOL off, no auto power on
+};
+
+/**
+ * Known SICP input sources (0xAC set / 0xAD get), usable as `source` in "inputs" instead of a code.
+ * Not every model has every source; `type` is the HomeKit InputSourceType shown in the Home app.
+ */
+const INPUT_SOURCES = {
+  video: { code: 0x01, label: 'Video', type: 'composite_video' },
+  svideo: { code: 0x02, label: 'S-Video', type: 's_video' },
+  component: { code: 0x03, label: 'Component', type: 'component_video' },
+  vga: { code: 0x05, label: 'VGA', type: 'other' },
+  hdmi2: { code: 0x06, label: 'HDMI 2', type: 'hdmi' },
+  displayport2: { code: 0x07, label: 'DisplayPort 2', type: 'other' },
+  usb2: { code: 0x08, label: 'USB 2', type: 'usb' },
+  carddvi: { code: 0x09, label: 'Card DVI-D', type: 'dvi' },
+  displayport1: { code: 0x0A, label: 'DisplayPort 1', type: 'other' },
+  ops: { code: 0x0B, label: 'OPS', type: 'other' },
+  usb1: { code: 0x0C, label: 'USB 1', type: 'usb' },
+  hdmi1: { code: 0x0D, label: 'HDMI 1', type: 'hdmi' },
+  dvi: { code: 0x0E, label: 'DVI-D', type: 'dvi' },
+  hdmi3: { code: 0x0F, label: 'HDMI 3', type: 'hdmi' },
+  browser: { code: 0x10, label: 'Browser', type: 'application' },
+  cms: { code: 0x11, label: 'SmartCMS', type: 'application' },
+  dms: { code: 0x12, label: 'Media Server', type: 'application' },
+  storage: { code: 0x13, label: 'Internal Storage', type: 'usb' },
+  mediaplayer: { code: 0x16, label: 'Media Player', type: 'application' },
+  pdfplayer: { code: 0x17, label: 'PDF Player', type: 'application' },
+  custom: { code: 0x18, label: 'Custom App', type: 'application' },
+  hdmi4: { code: 0x19, label: 'HDMI 4', type: 'hdmi' },
+};
+
+/** HomeKit InputSourceType names accepted as input `type` */
+const INPUT_TYPES = ['other', 'home_screen', 'tuner', 'hdmi', 'composite_video', 's_video', 'component_video', 'dvi', 'airplay', 'usb', 'application'];
+
+/** Default bytes after the source code in Input Source Set: [0xAC, code, ...launch] */
+const DEFAULT_INPUT_LAUNCH = [0x09, 0x01, 0x00];
+
+/** Local calendar date of `d` as YYYY-MM-DD */
+function localDate(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
 /** Simple promise-based sleep */
 function delay(ms) { return new Promise(res => setTimeout(res, ms)); }
 
+/** Parse a byte given as number, "0x1F" or "31"; null if it isn't a valid byte */
+function parseCode(raw) {
+  if (typeof raw === 'number') return Number.isInteger(raw) && raw >= 0 && raw <= 0xFF ? raw : null;
+  const s = String(raw ?? '').trim().toLowerCase();
+  if (!/^(0x[0-9a-f]{1,2}|\d{1,3})$/.test(s)) return null;
+  const n = s.startsWith('0x') ? parseInt(s, 16) : parseInt(s, 10);
+  return n <= 0xFF ? n : null;
+}
+
+/** Byte-valued settings of a display config, checked by validateDisplayConfig */
+const VOLUME_CODES = ['setCode', 'upCode', 'downCode', 'muteSetCode', 'muteToggleCode', 'getCode', 'muteGetCode'];
+const BRIGHTNESS_CODES = ['setCode', 'upCode', 'downCode', 'getCode'];
+const AUDIO_CODES = ['speakerSetCode', 'speakerGetCode', 'internalValue', 'externalValue'];
+
+/**
+ * Check a display's config before it is loaded. Returns the list of problems (empty if valid):
+ * codes that aren't bytes, inconsistent ranges and duplicate input identifiers.
+ */
+function validateDisplayConfig(conf) {
+  const errors = [];
+  const code = (value, where) => {
+    if (value == null || value === '') return;
+    if (parseCode(value) == null) errors.push(`${where}: "${value}" is not a valid code (use 0x00-0xFF or 0-255)`);
+  };
+  const range = (section) => {
+    const { min = 0, max = 100, initial } = conf[section] || {};
+    if (typeof min !== 'number' || typeof max !== 'number' || min >= max) errors.push(`${section}: "min" must be a number below "max"`);
+    else if (initial != null && (typeof initial !== 'number' || initial < min || initial > max)) errors.push(`${section}.initial: must be between ${min} and ${max}`);
+  };
+
+  if (conf.transport != null && conf.transport !== 'tcp' && conf.transport !== 'serial') {
+    errors.push(`transport: "${conf.transport}" is not supported (use "tcp" or "serial")`);
+  }
+  if (conf.transport === 'serial') {
+    if (!conf.path) errors.push('"path" of the serial port is required for transport "serial"');
+    if (conf.baudRate != null && !(Number.isInteger(conf.baudRate) && conf.baudRate > 0)) errors.push('baudRate: must be a positive integer');
+    if (conf.mac) errors.push('"mac" (Wake-on-LAN) needs transport "tcp"');
+  }
+  // Wake-on-LAN would only fail at power-on, leaving the display impossible to switch on
+  if (conf.mac != null && conf.mac !== '' && !/^[0-9a-f]{12}$/i.test(String(conf.mac).replace(/[:.\s-]/g, ''))) {
+    errors.push(`mac: "${conf.mac}" is not a valid MAC address (12 hex digits, e.g. 00:11:22:33:44:55)`);
+  }
+
+  VOLUME_CODES.forEach(k => code(conf.volume?.[k], `volume.${k}`));
+  BRIGHTNESS_CODES.forEach(k => code(conf.brightness?.[k], `brightness.${k}`));
+  AUDIO_CODES.forEach(k => code(conf.audio?.[k], `audio.${k}`));
+  range('volume');
+  range('brightness');
+  code(conf.pictureStyleCode, 'pictureStyleCode');
+  code(conf.remoteKeys?.command, 'remoteKeys.command');
+  Object.entries(conf.remoteKeys?.keys || {}).forEach(([k, v]) => code(v, `remoteKeys.keys.${k}`));
+  (Array.isArray(conf.videoPresets) ? conf.videoPresets : []).forEach((p) => {
+    [...VIDEO_PARAMETERS, 'pictureStyle'].forEach(k => code(p?.[k], `videoPresets "${p?.name}".${k}`));
+  });
+  const commandNames = new Set(); // switches are keyed by name
+  (Array.isArray(conf.customCommands) ? conf.customCommands : []).forEach((c, idx) => {
+    const label = c?.name || `#${idx + 1}`;
+    if (!c?.name) errors.push(`custom command "${label}": "name" is required`);
+    else if (commandNames.has(c.name)) errors.push(`custom commands: the name "${c.name}" is used twice`);
+    else commandNames.add(c.name);
+    ['on', 'off', 'query', 'onReply'].forEach((k) => {
+      if (c?.[k] == null || c[k] === '') {
+        if (k === 'on') errors.push(`custom command "${label}": "on" is required`);
+        return;
+      }
+      try {
+        parseBytes(c[k]);
+      } catch (e) {
+        errors.push(`custom command "${label}": ${k}: ${e.message}`);
+      }
+    });
+    if (c?.query && !c?.onReply) errors.push(`custom command "${label}": "query" needs "onReply" to tell the state`);
+  });
+
+  if (conf.inputs != null && !Array.isArray(conf.inputs)) {
+    errors.push('"inputs" must be a list');
+    return errors;
+  }
+  const identifiers = new Map(); // identifier -> label of the first input using it
+  (conf.inputs || []).forEach((inp, idx) => {
+    const label = inp?.label || inp?.source || `#${idx + 1}`;
+    const hasSource = inp?.source != null && inp.source !== '';
+    if (hasSource && !INPUT_SOURCES[String(inp.source).toLowerCase()]) {
+      errors.push(`input "${label}": unknown source "${inp.source}" (use one of ${Object.keys(INPUT_SOURCES).join(', ')})`);
+    }
+    if (inp?.code != null && inp.code !== '') code(inp.code, `input "${label}"`);
+    else if (!hasSource) errors.push(`input "${label}": "code" or "source" is required`);
+    if (inp?.type != null && !INPUT_TYPES.includes(inp.type)) {
+      errors.push(`input "${label}": unknown type "${inp.type}" (use one of ${INPUT_TYPES.join(', ')})`);
+    }
+    if (inp?.launch != null && inp.launch !== '') {
+      try {
+        parseBytes(inp.launch);
+      } catch (e) {
+        errors.push(`input "${label}": launch: ${e.message}`);
+      }
+    }
+    const id = inputIdentifier(inp || {}, idx);
+    if (identifiers.has(id)) errors.push(`inputs "${identifiers.get(id)}" and "${label}" have the same identifier ${id}`);
+    else identifiers.set(id, label);
+  });
+  return errors;
+}
+
+/** Parse a byte sequence given as an array or a string like "0x1C 0x01"; throws TypeError if invalid */
+function parseBytes(raw) {
+  const items = Array.isArray(raw) ? raw : String(raw ?? '').split(/[\s,]+/).filter(Boolean);
+  if (!items.length) throw new TypeError('expected a non-empty list of bytes');
+  return items.map((b) => {
+    const v = parseCode(b);
+    if (v == null) throw new TypeError(`Invalid byte: ${b}`);
+    return v;
+  });
+}
+
 /** Clamp helper */
 function clamp(n, min, max) { return Math.max(min, Math.min(max, n)); }
 
+/** Send a Wake-on-LAN magic packet (6x 0xFF followed by the MAC 16 times) */
+function sendWakeOnLan(mac, address = '255.255.255.255', port = 9) {
+  const hex = String(mac).replace(/[^0-9a-f]/gi, '');
+  if (hex.length !== 12) return Promise.reject(new Error(`Invalid MAC address: ${mac}`));
+  const macBytes = Buffer.from(hex, 'hex');
+  const pkt = Buffer.concat([Buffer.alloc(6, 0xFF), ...Array(16).fill(macBytes)]);
+
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket('udp4');
+    socket.once('error', (e) => {
+      socket.close();
+      reject(e);
+    });
+    socket.bind(() => {
+      socket.setBroadcast(true);
+      socket.send(pkt, port, address, (e) => {
+        socket.close();
+        if (e) reject(e);
+        else resolve();
+      });
+    });
+  });
+}
+
+/** Resolve true if a TCP connection to host:port is accepted within timeoutMs */
+function probePort(host, port, timeoutMs) {
+  return new Promise((resolve) => {
+    const socket = new net.Socket();
+    const finish = (ok) => {
+      socket.destroy();
+      resolve(ok);
+    };
+    socket.setTimeout(timeoutMs, () => finish(false));
+    socket.once('error', () => finish(false));
+    socket.connect(port, host, () => finish(true));
+  });
+}
+
+/** List the host addresses of an IPv4 CIDR range (network/broadcast excluded), at most /20 */
+function hostsInCidr(cidr) {
+  const m = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})\/(\d{1,2})$/.exec(String(cidr).trim());
+  if (!m || m.slice(1, 5).some(o => Number(o) > 255)) throw new Error(`Invalid CIDR range: ${cidr}`);
+  const prefix = Number(m[5]);
+  if (prefix < 20 || prefix > 32) throw new Error(`CIDR prefix must be between /20 and /32: ${cidr}`);
+
+  const ip = m.slice(1, 5).reduce((acc, o) => ((acc << 8) | Number(o)) >>> 0, 0);
+  const size = 2 ** (32 - prefix);
+  const base = (ip & ~(size - 1)) >>> 0;
+  const hosts = [];
+  const first = size > 2 ? 1 : 0;
+  const last = size > 2 ? size - 2 : size - 1;
+  for (let i = first; i <= last; i++) {
+    const n = base + i;
+    hosts.push([n >>> 24, (n >>> 16) & 0xFF, (n >>> 8) & 0xFF, n & 0xFF].join('.'));
+  }
+  return hosts;
+}
+
+/**
+ * Scan a CIDR range for displays answering SICP and identify them by model and serial.
+ * Resolves with [{ host, model, serial }] for every display that reported a serial.
+ */
+async function scanForDisplays(cidr, { port = 5000, monitorId = 1, includeGroup = true, groupId = 0x00, timeoutMs = 500, concurrency = 16 } = {}) {
+  const hosts = hostsInCidr(cidr);
+  const found = [];
+  const options = { includeGroup, monitorId, groupId };
+
+  const identify = async (host) => {
+    if (!(await probePort(host, port, timeoutMs))) return;
+    const client = new SicpClient(host, port, timeoutMs * 2);
+    const query = async (data) => {
+      const reply = parseReply(await client.send(buildSicpPacket(monitorId, data, includeGroup, groupId)), options, data[0]);
+      return (reply.type === 'data' && reply.command === data[0]) ? decodeText(reply.payload) : null;
+    };
+    try {
+      const model = await query([0xA1, 0x00]);
+      const serial = await query([0x15]);
+      if (serial) found.push({ host, model, serial });
+    } catch (e) {
+      // Port open but no valid SICP reply: not a display (or another monitor ID)
+    }
+  };
+
+  let next = 0;
+  const worker = async () => {
+    while (next < hosts.length) await identify(hosts[next++]);
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, hosts.length) }, worker));
+  return found;
+}
+
+/** Schedule day names, in Date#getDay() order */
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/** Validate a schedule entry from config; times become minutes after midnight, days getDay() numbers */
+function parseScheduleEntry(entry) {
+  const time = (key) => {
+    const m = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(entry[key] ?? '').trim());
+    if (!m) throw new Error(`"${key}" must be a time like 09:30`);
+    return Number(m[1]) * 60 + Number(m[2]);
+  };
+  const days = Array.isArray(entry.days) && entry.days.length
+    ? entry.days.map((d) => {
+      const day = WEEKDAYS.indexOf(String(d).trim().toLowerCase().slice(0, 3));
+      if (day < 0) throw new Error(`unknown day "${d}"`);
+      return day;
+    })
+    : WEEKDAYS.map((_, i) => i);
+  return {
+    days,
+    start: time('start'),
+    end: time('end'),
+    power: entry.power !== false,
+    input: entry.input ?? null,
+    volume: entry.volume ?? null,
+    brightness: entry.brightness ?? null,
+  };
+}
+
+/**
+ * The schedule entry in effect at `now` as { index, since }, where `since` is the local date
+ * its range started (ranges ending at or before their start run past midnight); null if none.
+ */
+function scheduleSlotAt(schedule, now) {
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  const today = now.getDay();
+  const date = offset => localDate(new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset));
+  for (const [index, e] of schedule.entries()) {
+    const overnight = e.end <= e.start;
+    if (e.days.includes(today) && minutes >= e.start && (overnight || minutes < e.end)) return { index, since: date(0) };
+    if (overnight && e.days.includes((today + 6) % 7) && minutes < e.end) return { index, since: date(-1) };
+  }
+  return null;
+}
+
+/** Display id used by the HTTP API and MQTT topics: `id` or the name, lower case with dashes */
+function displayId(conf) {
+  return String(conf.id || conf.name || 'Philips D-Line').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'display';
+}
+
+/** HomeKit identifier of an input: its configured `identifier`, or its 1-based position */
+function inputIdentifier(inp, idx) {
+  return (typeof inp.identifier === 'number') ? inp.identifier : (idx + 1);
+}
+
+/**
+ * Fill in an input entry from the source catalogue: `source` gives the code and a default label,
+ * and a known code gives the HomeKit type (HDMI otherwise). `launch` becomes a byte list.
+ */
+function resolveInput(inp) {
+  const known = INPUT_SOURCES[String(inp.source ?? '').toLowerCase()]
+    || Object.values(INPUT_SOURCES).find(src => src.code === parseCode(inp.code));
+  const hasCode = inp.code != null && inp.code !== '';
+  return {
+    ...inp,
+    label: inp.label || (inp.source ? known?.label : undefined),
+    code: hasCode ? inp.code : known?.code,
+    type: inp.type || known?.type || 'hdmi',
+    hidden: !!inp.hidden,
+    launch: inp.launch != null && inp.launch !== '' ? parseBytes(inp.launch) : DEFAULT_INPUT_LAUNCH,
+  };
+}
+
+/**
+ * Create or update one InputSource service per input, matched by subtype ("input-<identifier>")
+ * so a renamed input keeps its service, and remove the services of inputs no longer configured.
+ * Inputs start shown or `hidden`; visibility changed in the Home app is kept in the accessory context.
+ */
+function syncInputSources(accessory, televisionService, inputs) {
+  const { Service, Characteristic } = hap;
+  const subtypes = inputs.map((inp, idx) => 'input-' + inputIdentifier(inp, idx));
+  accessory.services
+    .filter(svc => svc.UUID === Service.InputSource.UUID && !subtypes.includes(svc.subtype))
+    .forEach(svc => accessory.removeService(svc));
+
+  const visibility = accessory.context.inputVisibility = accessory.context.inputVisibility || {};
+  inputs.forEach((inp, idx) => {
+    const id = inputIdentifier(inp, idx);
+    const label = inp.label || `Input ${id}`;
+    const type = Characteristic.InputSourceType[String(inp.type || 'hdmi').toUpperCase()] ?? Characteristic.InputSourceType.HDMI;
+    const state = visibility[id] ?? (inp.hidden ? Characteristic.CurrentVisibilityState.HIDDEN : Characteristic.CurrentVisibilityState.SHOWN);
+    const inputService = accessory.getServiceById(Service.InputSource, 'input-' + id)
+      || accessory.addService(Service.InputSource, label, 'input-' + id);
+    inputService
+      .setCharacteristic(Characteristic.Name, label)
+      .setCharacteristic(Characteristic.Identifier, id)
+      .setCharacteristic(Characteristic.ConfiguredName, label)
+      .setCharacteristic(Characteristic.InputSourceType, type)
+      .setCharacteristic(Characteristic.IsConfigured, Characteristic.IsConfigured.CONFIGURED)
+      .setCharacteristic(Characteristic.CurrentVisibilityState, state)
+      .setCharacteristic(Characteristic.TargetVisibilityState, state);
+
+    inputService.getCharacteristic(Characteristic.TargetVisibilityState)
+      .onSet((value) => {
+        visibility[id] = value;
+        inputService.updateCharacteristic(Characteristic.CurrentVisibilityState, value);
+      });
+
+    televisionService.addLinkedService(inputService);
+  });
+}
+
 /** A light-weight send queue so we don't overlap TCP writes */
 class SendQueue {
   constructor(sender) {
@@ -39,6 +441,45 @@ class SendQueue {
   }
 }
 
+/**
+ * Applies one kind of setting (e.g. volume) at a time, keeping only the latest target:
+ * values set while one is being applied replace each other, and every caller resolves once
+ * the newest value is applied. `apply(target, setter)` can check `setter.pending` to stop
+ * a long operation (relative step loop) early and let the newer target take over.
+ */
+class CoalescingSetter {
+  constructor(apply) {
+    this.apply = apply; // async (target, setter) => void
+    this.target = undefined;
+    this.pending = false;
+    this.running = null;
+  }
+
+  set(target) {
+    this.target = target;
+    this.pending = true;
+    if (!this.running) this.running = this._drain();
+    return this.running;
+  }
+
+  async _drain() {
+    try {
+      while (this.pending) {
+        this.pending = false;
+        try {
+          await this.apply(this.target, this);
+        } catch (e) {
+          // A newer target is still applied; the error only matters for the last one
+          if (!this.pending) throw e;
+        }
+      }
+    } finally {
+      // Cleared without awaiting after the last check, so a new set() always starts a new run
+      this.running = null;
+    }
+  }
+}
+
 /** Build a SICP packet */
 function buildSicpPacket(monitorId, dataBytes, includeGroup = true, groupId = 0x00) {
   const body = includeGroup ? [monitorId & 0xFF, groupId & 0xFF, ...dataBytes] : [monitorId & 0xFF, ...dataBytes];
@@ -50,89 +491,420 @@ function buildSicpPacket(monitorId, dataBytes, includeGroup = true, groupId = 0x
   return Buffer.from(arr);
 }
 
-/** Parse a basic ACK/NACK/NAV (best-effort) */
-function parseReply(buf, includeGroup = true) {
-  const bytes = [...buf];
-  const raw = bytes.map(b => '0x' + b.toString(16).padStart(2, '0')).join(' ');
+/** Format bytes as "0x06 0x01 ..." for logs */
+function formatBytes(bytes) {
+  return [...bytes].map(b => '0x' + b.toString(16).padStart(2, '0')).join(' ');
+}
+
+/** Decode an ASCII label from a reply payload (printable characters only); null if empty */
+function decodeText(payload) {
+  const text = Buffer.from(payload).toString('latin1').replace(/[^\x20-\x7E]/g, '').trim();
+  return text || null;
+}
+
+// SICP "Communication Control" status codes (reply DATA[0] = 0x00, DATA[1] = status)
+const SICP_ACK = 0x06;
+const SICP_NACK = 0x15;
+const SICP_NAV = 0x18;
 
-  // SICP Reply structure:
-  // With Group: [Len, Mon, Grp, ACK/NAK, ...Data, CS] -> Status at index 3
-  // No Group:   [Len, Mon, ACK/NAK, ...Data, CS]       -> Status at index 2
-  // Notes:
-  // - Some older displays might just return [ACK, Status].
-  // - ACK = 0x06, NACK = 0x15, NAV = 0x18.
+/**
+ * Split a byte stream into complete SICP frames using the leading length byte.
+ * Returns the complete frames and the unconsumed remainder (a partial frame).
+ */
+function splitFrames(buf) {
+  const frames = [];
+  let offset = 0;
+  while (offset < buf.length) {
+    const size = buf[offset];
+    // Smallest valid message is [Len, Mon, Data, CS]; anything shorter is garbage we can't resync from
+    if (size < 4) throw new Error(`SICP: invalid length byte 0x${size.toString(16).padStart(2, '0')} in reply (${formatBytes(buf)})`);
+    if (offset + size > buf.length) break;
+    frames.push(buf.subarray(offset, offset + size));
+    offset += size;
+  }
+  return { frames, rest: buf.subarray(offset) };
+}
 
-  // Heuristic: if starts with 0x06 and short, it's just an ACK?
-  // But standard packets start with Len. 
-  // Safety: usually packet len >= 4 or 5.
+/**
+ * Decode one complete SICP frame.
+ * Validates length, XOR checksum and the echoed monitor/group IDs, then returns
+ * { type: 'ack' | 'nack' | 'nav' | 'data', command, payload, raw, ok, nack, nav }.
+ */
+function decodeFrame(frame, { includeGroup = true, monitorId = null, groupId = 0x00 } = {}) {
+  const bytes = [...frame];
+  const raw = formatBytes(bytes);
+
+  // With Group: [Len, Mon, Grp, ...Data, CS]
+  // No Group:   [Len, Mon, ...Data, CS]
+  const dataIdx = includeGroup ? 3 : 2;
+  if (bytes.length <= dataIdx + 1 || bytes[0] !== bytes.length) {
+    throw new Error(`SICP: bad length in reply (${raw})`);
+  }
 
-  const statusIdx = includeGroup ? 3 : 2;
+  let checksum = 0x00;
+  for (const b of bytes.slice(0, -1)) checksum ^= b;
+  if (checksum !== bytes[bytes.length - 1]) {
+    throw new Error(`SICP: checksum mismatch in reply (${raw})`);
+  }
 
-  // If buffer is too short to have a status at the expected index,
-  // we fallback to naive "includes" or just say it's not an error.
-  // However, real NACK packets are usually short: [Len, Mon, Grp, NACK, CS] -> 5 bytes.
-  // So index 3 is valid.
+  // Monitor ID 0 is broadcast, any display may answer
+  if (monitorId && bytes[1] !== (monitorId & 0xFF)) {
+    throw new Error(`SICP: reply from monitor ${bytes[1]}, expected ${monitorId & 0xFF} (${raw})`);
+  }
+  if (includeGroup && bytes[2] !== (groupId & 0xFF)) {
+    throw new Error(`SICP: reply for group ${bytes[2]}, expected ${groupId & 0xFF} (${raw})`);
+  }
 
-  if (bytes.length <= statusIdx) {
-    // Fallback or just raw ACK check
-    return {
-      raw,
-      ok: bytes.includes(0x06),
-      nack: bytes.includes(0x15), // NAK
-      nav: bytes.includes(0x18),  // Not Available
-    };
+  const data = bytes.slice(dataIdx, -1);
+  let status = null;
+  if (data[0] === 0x00 && data.length >= 2) {
+    // Communication Control: [0x00, ACK/NACK/NAV]
+    status = data[1];
+  } else if (data.length === 1 && [SICP_ACK, SICP_NACK, SICP_NAV].includes(data[0])) {
+    // Some older firmwares omit the 0x00 command byte
+    status = data[0];
   }
 
-  const status = bytes[statusIdx];
+  let type = 'data';
+  if (status === SICP_ACK) type = 'ack';
+  else if (status === SICP_NACK) type = 'nack';
+  else if (status === SICP_NAV) type = 'nav';
+
   return {
+    type,
+    command: type === 'data' ? data[0] : null,
+    payload: type === 'data' ? data.slice(1) : [],
     raw,
-    // Note: status 0x06 is ACK. 
-    // Sometimes status is 0x00 (success) for some commands? 
-    // We treat explicitly NACK(0x15) and NAV(0x18) as errors.
-    ok: status === 0x06,
-    nack: status === 0x15,
-    nav: status === 0x18,
+    ok: type === 'ack' || type === 'data',
+    nack: type === 'nack',
+    nav: type === 'nav',
   };
 }
 
-/** TCP client for SICP */
-class SicpClient {
-  constructor(host, port = 5000, timeoutMs = 1200) {
+/**
+ * Decode a raw reply buffer (possibly several frames from one TCP read).
+ * When `command` is given, the data reply echoing that command is preferred;
+ * otherwise the first frame is returned. An empty buffer yields type 'none'
+ * (e.g. broadcast monitor ID 0, where displays don't answer).
+ */
+function parseReply(buf, options = {}, command = null) {
+  if (typeof options === 'boolean') options = { includeGroup: options };
+  if (!buf || buf.length === 0) {
+    return { type: 'none', command: null, payload: [], raw: '', ok: false, nack: false, nav: false };
+  }
+
+  const { frames } = splitFrames(buf);
+  if (!frames.length) throw new Error(`SICP: incomplete reply (${formatBytes(buf)})`);
+  const replies = frames.map(f => decodeFrame(f, options));
+
+  if (command != null) {
+    const match = replies.find(r => r.type === 'data' && r.command === command);
+    if (match) return match;
+  }
+  return replies.find(r => r.type !== 'data') || replies[0];
+}
+
+/** SICP over TCP (LAN control, port 5000) */
+class TcpTransport {
+  constructor(host, port = 5000) {
     this.host = host;
     this.port = port;
+  }
+
+  /** Open a connection; resolves with a stream (write, end, destroy; 'data', 'error', 'close') */
+  open(timeoutMs) {
+    return new Promise((resolve, reject) => {
+      const socket = new net.Socket();
+      const onError = (e) => {
+        socket.destroy();
+        reject(e);
+      };
+      socket.setTimeout(timeoutMs, () => onError(new Error('SICP: connect timeout')));
+      socket.once('error', onError);
+      socket.connect(this.port, this.host, () => {
+        socket.setTimeout(0);
+        socket.off('error', onError);
+        socket.setNoDelay(true);
+        resolve(socket);
+      });
+    });
+  }
+}
+
+/**
+ * SICP over RS232 (e.g. a USB serial adapter on the Homebridge host), 8N1.
+ * The port stays open, and several daisy-chained displays can share it (see `bus`).
+ */
+class SerialTransport {
+  constructor(path, baudRate = 9600) {
+    this.path = path;
+    this.baudRate = baudRate;
+    this.persistentOnly = true; // there is no connection to close after each command
+    this.bus = true; // a display that doesn't answer must not close the port for the others
+  }
+
+  open() {
+    let SerialPort;
+    try {
+      // Optional dependency, only loaded for serial displays
+      ({ SerialPort } = require('serialport'));
+    } catch (e) {
+      return Promise.reject(new Error('The "serialport" package is not installed; it is needed for transport "serial".'));
+    }
+    return new Promise((resolve, reject) => {
+      const port = new SerialPort({ path: this.path, baudRate: this.baudRate, autoOpen: false });
+      port.open(err => (err ? reject(err) : resolve(port)));
+    });
+  }
+
+  /** destroy() alone leaves the port locked until the process exits */
+  close(port) {
+    if (port.isOpen) port.close(() => port.destroy());
+    else port.destroy();
+  }
+}
+
+/** SICP client: one request at a time over a TCP (default) or serial transport */
+class SicpClient {
+  constructor(host, port = 5000, timeoutMs = 1200, options = {}) {
+    this.transport = options.transport || new TcpTransport(host, port);
     this.timeoutMs = timeoutMs;
-    this.queue = new SendQueue(this._sendOnce.bind(this));
+
+    // Persistent mode keeps one connection open per display instead of connecting for every packet
+    this.persistent = !!options.persistent || !!this.transport.persistentOnly;
+    this.keepAliveMs = options.keepAliveMs ?? 10000;
+    this.reconnectMinMs = options.reconnectMinMs ?? 500;
+    this.reconnectMaxMs = options.reconnectMaxMs ?? 30000;
+    this.socket = null;
+    this.connecting = null;
+    this.backoffMs = 0;
+    this.nextConnectAt = 0;
+    this.dropped = new WeakSet();
+
+    const sender = this.persistent ? this._sendPersistent : this._sendOnce;
+    this.queue = new SendQueue(sender.bind(this));
   }
 
   async send(pkt) {
     return this.queue.send(pkt);
   }
 
-  _sendOnce(pkt) {
+  /** Close the persistent connection (if any). The next send reconnects. */
+  close() {
+    if (this.socket) this._drop(this.socket, false);
+  }
+
+  async _sendOnce(pkt) {
+    const socket = await this.transport.open(this.timeoutMs);
     return new Promise((resolve, reject) => {
-      const socket = new net.Socket();
-      let chunks = [];
+      const chunks = [];
       let done = false;
 
-      const finish = (err, data) => {
+      const finish = (err) => {
         if (done) return;
         done = true;
+        clearTimeout(timer);
         try { socket.destroy(); } catch { }
         if (err) reject(err);
-        else resolve(Buffer.concat(data || []));
+        else resolve(Buffer.concat(chunks));
       };
 
-      socket.setTimeout(this.timeoutMs, () => finish(new Error('SICP: timeout'), chunks));
-      socket.once('error', (e) => finish(e, chunks));
-      socket.connect(this.port, this.host, () => {
-        socket.write(pkt);
-      });
+      const timer = setTimeout(() => finish(new Error('SICP: timeout')), this.timeoutMs);
+      socket.once('error', finish);
       socket.on('data', (d) => chunks.push(Buffer.from(d)));
-      socket.once('close', () => finish(null, chunks));
+      socket.once('close', () => finish(null));
+      socket.write(pkt);
       // Some firmwares keep the socket open; close after a short delay
       setTimeout(() => { try { socket.end(); } catch { } }, 200);
     });
   }
+
+  async _sendPersistent(pkt) {
+    const socket = await this._connect();
+    return new Promise((resolve, reject) => {
+      let buf = Buffer.alloc(0);
+      let timer = null;
+
+      const finish = (err, data, keep = false) => {
+        clearTimeout(timer);
+        socket.off('data', onData);
+        socket.off('close', onClose);
+        if (err) {
+          // A late reply would be mistaken for the next one, so never reuse a TCP socket after a
+          // failure. On a shared bus, late bytes arriving between requests are simply dropped.
+          if (!keep) this._drop(socket, true);
+          reject(err);
+        } else {
+          resolve(data);
+        }
+      };
+      const onData = (d) => {
+        buf = Buffer.concat([buf, d]);
+        // The first byte of every SICP message is its total length (including itself and the checksum)
+        try {
+          const { frames } = splitFrames(buf);
+          if (frames.length) finish(null, frames[0]);
+        } catch (e) {
+          finish(e, null, this.transport.bus);
+        }
+      };
+      const onClose = () => finish(new Error('SICP: connection closed'));
+
+      timer = setTimeout(() => finish(new Error('SICP: timeout'), null, this.transport.bus), this.timeoutMs);
+      socket.on('data', onData);
+      socket.once('close', onClose);
+      socket.write(pkt);
+    });
+  }
+
+  _connect() {
+    if (this.socket) return Promise.resolve(this.socket);
+    if (this.connecting) return this.connecting;
+
+    this.connecting = (async () => {
+      const wait = this.nextConnectAt - Date.now();
+      if (wait > 0) await delay(wait);
+
+      let socket;
+      try {
+        socket = await this.transport.open(this.timeoutMs);
+      } catch (e) {
+        this._backoff();
+        throw e;
+      }
+      if (socket.setKeepAlive) socket.setKeepAlive(true, this.keepAliveMs);
+      // Errors after connect are reported to the pending request through 'close'
+      socket.on('error', () => this._drop(socket, true));
+      socket.once('close', () => this._drop(socket, false));
+      this.socket = socket;
+      this.backoffMs = 0;
+      return socket;
+    })().finally(() => { this.connecting = null; });
+
+    return this.connecting;
+  }
+
+  /** Forget a connection; on failure, delay the next connect with exponential backoff */
+  _drop(socket, failed) {
+    if (this.dropped.has(socket)) return;
+    this.dropped.add(socket);
+    try {
+      if (this.transport.close) this.transport.close(socket);
+      else socket.destroy();
+    } catch { }
+    if (this.socket === socket) this.socket = null;
+    if (failed) this._backoff();
+  }
+
+  _backoff() {
+    this.backoffMs = this.backoffMs ? Math.min(this.backoffMs * 2, this.reconnectMaxMs) : this.reconnectMinMs;
+    this.nextConnectAt = Date.now() + this.backoffMs;
+  }
+}
+
+/**
+ * Power, input and reachability transitions of one display, appended as JSON lines to
+ * `<dir>/<id>.jsonl` and rotated to `<id>.1.jsonl` when the file grows past `maxBytes`.
+ * Each Homebridge start is recorded too, so time it wasn't running isn't counted as on-time.
+ */
+class DisplayHistory {
+  constructor(dir, id, options = {}) {
+    this.file = path.join(dir, `${id}.jsonl`);
+    this.previousFile = path.join(dir, `${id}.1.jsonl`);
+    this.maxBytes = options.maxBytes ?? 512 * 1024;
+    this.log = options.log;
+    this.last = null; // last recorded { power, input, reachable }
+    this.writing = Promise.resolve();
+    this._write([{ t: new Date().toISOString(), event: 'start' }]);
+  }
+
+  /** Record whatever changed since the last state (from the accessory's 'state' events) */
+  record(state, now = new Date()) {
+    const t = now.toISOString();
+    const entries = [];
+    if (this.last?.reachable !== state.reachable) entries.push({ t, event: 'reachable', value: state.reachable });
+    if (this.last?.power !== state.power) entries.push({ t, event: 'power', value: state.power });
+    if (this.last?.input !== state.input) entries.push({ t, event: 'input', value: state.input, label: state.inputLabel });
+    this.last = { power: state.power, input: state.input, reachable: state.reachable };
+    if (entries.length) this._write(entries);
+    return entries;
+  }
+
+  /** Note that the display is still being watched, so on-time up to here counts after a restart */
+  alive(now = new Date()) {
+    return this._write([{ t: now.toISOString(), event: 'alive' }]);
+  }
+
+  _write(entries) {
+    const data = entries.map(e => JSON.stringify(e) + '\n').join('');
+    this.writing = this.writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      const size = await fs.promises.stat(this.file).then(st => st.size, () => 0);
+      if (size && size + data.length > this.maxBytes) await fs.promises.rename(this.file, this.previousFile);
+      await fs.promises.appendFile(this.file, data);
+    }).catch(e => this.log?.warn(`Failed to write history ${this.file}: ${e.message}`));
+    return this.writing;
+  }
+
+  /** All recorded entries, oldest first */
+  async entries() {
+    await this.writing;
+    const lines = [];
+    for (const file of [this.previousFile, this.file]) {
+      const text = await fs.promises.readFile(file, 'utf8').catch(() => '');
+      lines.push(...text.split('\n').filter(Boolean));
+    }
+    return lines.flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return []; // torn line from a crash
+      }
+    });
+  }
+
+  /**
+   * On-time per local day for the last `days` days (oldest first, today included):
+   * { date, onMinutes, onAtMidnight } where onAtMidnight means it was still on when the day ended.
+   */
+  async summary(days = 7, now = new Date()) {
+    const result = [];
+    for (let i = days - 1; i >= 0; i--) {
+      result.push({ date: localDate(new Date(now.getFullYear(), now.getMonth(), now.getDate() - i)), onMs: 0, onAtMidnight: false });
+    }
+    const byDate = new Map(result.map(d => [d.date, d]));
+    const addOnTime = (from, to) => {
+      while (from < to) {
+        const midnight = new Date(from.getFullYear(), from.getMonth(), from.getDate() + 1);
+        const day = byDate.get(localDate(from));
+        if (day) {
+          day.onMs += Math.min(to, midnight) - from;
+          if (to > midnight) day.onAtMidnight = true;
+        }
+        from = midnight;
+      }
+    };
+
+    let onSince = null;
+    let lastSeen = null;
+    for (const e of await this.entries()) {
+      const t = new Date(e.t);
+      if (e.event === 'start' && onSince) {
+        // Homebridge was stopped while the display was on: count up to the last thing we saw
+        addOnTime(onSince, lastSeen);
+        onSince = null;
+      } else if (e.event === 'power') {
+        if (e.value && !onSince) onSince = t;
+        if (!e.value && onSince) {
+          addOnTime(onSince, t);
+          onSince = null;
+        }
+      }
+      lastSeen = t;
+    }
+    if (onSince) addOnTime(onSince, now);
+    return result.map(({ onMs, ...d }) => ({ ...d, onMinutes: Math.round(onMs / 60000) }));
+  }
 }
 
 /** Accessory representing one D-Line TV */
@@ -142,23 +914,67 @@ class PhilipsDLineTelevisionAccessory {
     this.accessory = accessory;
     this.log = platform.log;
     this.name = conf.name || 'Philips D-Line';
+    this.id = displayId(conf);
     this.host = conf.host;
     this.port = conf.port || 5000;
+    // RS232 instead of LAN; displays on the same serial port are daisy-chained by monitor ID
+    this.transport = conf.transport === 'serial' ? 'serial' : 'tcp';
+    this.path = conf.path;
+    this.baudRate = conf.baudRate || 9600;
     this.monitorId = (conf.monitorId === 0 || conf.monitorId) ? conf.monitorId : 1;
     this.includeGroup = conf.includeGroup !== false; // default true
     this.groupId = conf.groupId || 0x00;
-    this.pollInterval = conf.pollInterval || 10; // seconds
+    this.pollInterval = conf.pollInterval ?? 10; // seconds, 0 disables polling
+    this.offlineAfter = Math.max(1, conf.offlineAfter ?? 2); // consecutive failed power polls
+    this.maxPollInterval = Math.max(this.pollInterval, conf.maxPollInterval ?? 300); // backoff cap while offline
     this.exposeBrightness = conf.exposeBrightness !== false; // default true
+    this.persistentConnection = !!conf.persistentConnection;
+    this.serial = conf.serial || null; // known upfront for discovered displays
+    this.powerOnTimeout = conf.powerOnTimeout ?? 20; // seconds to wait for the display to boot
+    this.powerOnPollMs = 500;
+
+    // Wake-on-LAN for displays whose network stack sleeps in standby
+    this.mac = conf.mac;
+    this.wolAddress = conf.wolAddress || '255.255.255.255';
+    this.wolPort = conf.wolPort || 9;
+    this.standbyMode = STANDBY_MODES[conf.standbyMode] ?? null;
+    this.standbyModeApplied = false;
+    if (conf.standbyMode && this.standbyMode == null) {
+      this.log.warn(`${this.name}: unknown standbyMode "${conf.standbyMode}"; expected one of ${Object.keys(STANDBY_MODES).join(', ')}.`);
+    }
+    if ((conf.standbyMode === 'mode1' || conf.standbyMode === 'mode2') && !this.mac) {
+      this.log.warn(`${this.name}: standbyMode ${conf.standbyMode} turns the LAN port off in standby; set "mac" so the display can be woken up.`);
+    }
 
     // Inputs config
-    this.inputs = Array.isArray(conf.inputs) && conf.inputs.length ? conf.inputs : [
+    this.inputs = (Array.isArray(conf.inputs) && conf.inputs.length ? conf.inputs : [
       { label: 'HDMI 1', code: '0x0D', identifier: 1 },
       { label: 'HDMI 2', code: '0x06', identifier: 2 },
       { label: 'HDMI 3', code: '0x0F', identifier: 3 },
       { label: 'HDMI 4', code: '0x19', identifier: 4 },
-    ];
+    ]).map(resolveInput);
     this.exposeInputSwitches = !!conf.exposeInputSwitches;
 
+    // Schedule: weekday/time ranges during which the display is on with the given input, volume and brightness
+    this.schedule = [];
+    (Array.isArray(conf.schedule) ? conf.schedule : []).forEach((entry, i) => {
+      try {
+        const parsed = parseScheduleEntry(entry || {});
+        if (parsed.input != null && this._findInputIdentifier(parsed.input) == null) throw new Error(`unknown input "${parsed.input}"`);
+        this.schedule.push(parsed);
+      } catch (e) {
+        this.log.warn(`${this.name}: ignoring schedule entry ${i + 1}: ${e.message}`);
+      }
+    });
+    this.scheduleTimers = !!conf.scheduleTimers && this.schedule.length > 0; // also program the display's own timers
+    this.scheduleTimersApplied = false;
+
+    // Remote keys (iOS Control Center remote); "" disables a key
+    this.remoteKeys = {
+      command: conf.remoteKeys?.command || DEFAULT_REMOTE_KEYS.command,
+      keys: { ...DEFAULT_REMOTE_KEYS.keys, ...conf.remoteKeys?.keys },
+    };
+
     // Volume config (two modes: absolute set, or relative up/down repeat)
     this.volume = {
       min: conf.volume?.min ?? 0,
@@ -171,6 +987,9 @@ class PhilipsDLineTelevisionAccessory {
       // Mute support
       muteSetCode: conf.volume?.muteSetCode, // absolute mute set [code, 0/1]
       muteToggleCode: conf.volume?.muteToggleCode, // single code to toggle
+      // Read back during polling ("" disables): [getCode] -> [getCode, speakerVol, ...]
+      getCode: conf.volume?.getCode ?? '0x45',
+      muteGetCode: conf.volume?.muteGetCode, // [code] -> [code, 0/1]
       // UI state
       current: clamp(conf.volume?.initial ?? 15, conf.volume?.min ?? 0, conf.volume?.max ?? 100),
       muted: false,
@@ -184,17 +1003,91 @@ class PhilipsDLineTelevisionAccessory {
       setCode: conf.brightness?.setCode,      // e.g. "0x10"
       upCode: conf.brightness?.upCode,
       downCode: conf.brightness?.downCode,
+      // Read back during polling ("" disables): SICP Video Parameters Get -> [0x33, Brightness, ...]
+      getCode: conf.brightness?.getCode ?? '0x33',
       current: clamp(conf.brightness?.initial ?? 50, conf.brightness?.min ?? 0, conf.brightness?.max ?? 100),
       stepMs: conf.brightness?.stepDelayMs ?? 120,
     };
 
+    // Slider drags: only the latest volume/brightness target is sent
+    this.volumeSetter = new CoalescingSetter(this._applyVolume.bind(this));
+    this.brightnessSetter = new CoalescingSetter(this._applyBrightness.bind(this));
+
+    // Audio beyond the speaker volume: audio-out (line-out) level, treble/bass and speaker selection
+    this.audio = {
+      exposeAudioOut: !!conf.audio?.audioOut, // SICP 0x44/0x45, second volume byte
+      exposeTrebleBass: !!conf.audio?.trebleBass, // SICP Audio Parameters 0x42/0x43: [treble, bass]
+      // Internal speakers vs. audio out; the codes vary by firmware: [setCode, value], [getCode] -> [getCode, value]
+      speakerSetCode: conf.audio?.speakerSetCode,
+      speakerGetCode: conf.audio?.speakerGetCode,
+      internalValue: conf.audio?.internalValue ?? '0x00',
+      externalValue: conf.audio?.externalValue ?? '0x01',
+      out: null, // unknown until read back
+      lastOut: 50, // restored when the Audio Out fan is switched back on
+      treble: null,
+      bass: null,
+      lastTreble: null, // last non-neutral levels, restored when their fan is switched back on
+      lastBass: null,
+      external: !!accessory.context.externalSpeakers,
+    };
+    this.audioOutSetter = new CoalescingSetter(this._applyAudioOut.bind(this));
+    this.audioParamsSetter = new CoalescingSetter(this._applyAudioParameters.bind(this));
+
+    // Video presets: named sets of 0x32 video parameters (+ optional picture style), exposed as switches
+    this.videoPresets = Array.isArray(conf.videoPresets) ? conf.videoPresets.filter(p => p && p.name) : [];
+    this.pictureStyleCode = conf.pictureStyleCode; // e.g. "0x3A": [code, style]
+
+    // Custom commands: switches sending user-defined SICP bytes (OSD lock, keypad lock, scaling...); checked by validateDisplayConfig
+    this.customCommands = (Array.isArray(conf.customCommands) ? conf.customCommands : []).map(c => ({
+      name: c.name,
+      on: parseBytes(c.on),
+      off: c.off != null && c.off !== '' ? parseBytes(c.off) : null, // none = stateless button
+      query: c.query != null && c.query !== '' ? parseBytes(c.query) : null,
+      onReply: c.onReply != null && c.onReply !== '' ? parseBytes(c.onReply) : null,
+    }));
+
+    // Temperature / health sensors (diagnostics read while polling)
+    this.temperature = {
+      enabled: !!conf.exposeTemperature || !!conf.exposeHealthSensor,
+      exposeSensor: !!conf.exposeTemperature,
+      exposeHealth: !!conf.exposeHealthSensor,
+      threshold: conf.temperatureThreshold ?? 60, // °C
+      sensors: [],
+      current: null,
+      overheated: false,
+      operatingHours: accessory.context.operatingHours ?? null,
+    };
+
     // State
     this.active = 0; // 0=INACTIVE, 1=ACTIVE
-    this.activeIdentifier = this.inputs[0]?.identifier ?? 1;
-
-    this.client = new SicpClient(this.host, this.port);
+    this.reachable = true; // false after `offlineAfter` failed power polls in a row
+    this.failures = 0; // consecutive failed power polls
+    this.ready = null; // pending readiness check after a power-on
+    this.poweringOn = null; // pending power-on command from _ensureOn
+    this.activeIdentifier = this.inputs.length ? inputIdentifier(this.inputs[0], 0) : 1;
+    this.unsupportedQueries = new Set(); // get commands the display answered with NACK/NAV
+    this.identified = false;
+    this.deviceInfo = accessory.context.deviceInfo || null;
+    this.features = {
+      noChangeBytes: true, // 0xFF = "no change" in multi-value set commands (SICP >= 2.09)
+    };
+    this.unknownInputCodes = new Set(); // reported source codes we already warned about
+    this.events = new EventEmitter(); // 'state' with getState() whenever it changes
+    this.lastState = null;
+
+    // Power/input/reachability history in the Homebridge storage path, optionally shown in the Eve app
+    this.historyEnabled = !!conf.history || !!conf.eveHistory;
+    this.eveHistoryEnabled = !!conf.eveHistory;
+    this.history = null;
+    this.eveHistory = null;
+
+    this.client = this.transport === 'serial'
+      ? platform.serialClient(this.path, this.baudRate)
+      : new SicpClient(this.host, this.port, undefined, { persistent: this.persistentConnection });
     this._setupServices();
+    this._startHistory();
     this._startPolling();
+    this._startSchedule();
   }
 
   _setupServices() {
@@ -208,6 +1101,12 @@ class PhilipsDLineTelevisionAccessory {
       .setCharacteristic(Characteristic.ConfiguredName, this.name)
       .setCharacteristic(Characteristic.SleepDiscoveryMode, Characteristic.SleepDiscoveryMode.ALWAYS_DISCOVERABLE);
 
+    // Offline displays show a fault instead of just looking switched off
+    if (!this.televisionService.testCharacteristic(Characteristic.StatusFault)) {
+      this.televisionService.addCharacteristic(Characteristic.StatusFault);
+    }
+    this.televisionService.updateCharacteristic(Characteristic.StatusFault, Characteristic.StatusFault.NO_FAULT);
+
     // Power
     this.televisionService.getCharacteristic(Characteristic.Active)
       .onGet(this.handleGetActive.bind(this))
@@ -218,48 +1117,37 @@ class PhilipsDLineTelevisionAccessory {
       .onGet(async () => this.activeIdentifier)
       .onSet(this.handleSetActiveIdentifier.bind(this));
 
-    // Add inputs as InputSource services
-    this.inputs.forEach((inp, idx) => {
-      const id = (typeof inp.identifier === 'number') ? inp.identifier : (idx + 1);
-      const label = inp.label || `Input ${id}`;
+    // Remote control (iOS Control Center remote)
+    this.televisionService.getCharacteristic(Characteristic.RemoteKey)
+      .onSet(this.handleRemoteKey.bind(this));
 
-      let inputService = this.accessory.getService(label);
-      if (!inputService) {
-        inputService = this.accessory.addService(Service.InputSource, label, 'input-' + id);
-      }
-      inputService
-        .setCharacteristic(Characteristic.Identifier, id)
-        .setCharacteristic(Characteristic.ConfiguredName, label)
-        .setCharacteristic(Characteristic.InputSourceType, Characteristic.InputSourceType.HDMI)
-        .setCharacteristic(Characteristic.IsConfigured, Characteristic.IsConfigured.CONFIGURED)
-        .setCharacteristic(Characteristic.CurrentVisibilityState, Characteristic.CurrentVisibilityState.SHOWN);
+    this.televisionService.getCharacteristic(Characteristic.PowerModeSelection)
+      .onSet(async (val) => {
+        if (val === Characteristic.PowerModeSelection.SHOW) await this._sendRemoteKey('MENU');
+      });
 
-      this.televisionService.addLinkedService(inputService);
-    });
+    // Add inputs as InputSource services
+    syncInputSources(this.accessory, this.televisionService, this.inputs);
+
+    // Optional: expose input switches, matched by subtype so renamed inputs keep their switch
+    const switchSubtypes = this.exposeInputSwitches ? this.inputs.map((inp, idx) => 'switch-' + inputIdentifier(inp, idx)) : [];
+    this.accessory.services
+      .filter(svc => svc.UUID === Service.Switch.UUID && svc.subtype?.startsWith('switch-') && !switchSubtypes.includes(svc.subtype))
+      .forEach(svc => this.accessory.removeService(svc));
 
-    // Optional: expose input switches
     if (this.exposeInputSwitches) {
       this.inputs.forEach((inp, idx) => {
-        const id = (typeof inp.identifier === 'number') ? inp.identifier : (idx + 1);
+        const id = inputIdentifier(inp, idx);
         const label = `${inp.label || `Input ${id}`} Switch`;
-        const s = this.accessory.addService(Service.Switch, label, 'switch-' + id);
+        const s = this.accessory.getServiceById(Service.Switch, 'switch-' + id)
+          || this.accessory.addService(Service.Switch, label, 'switch-' + id);
+        s.setCharacteristic(Characteristic.Name, label);
         s.getCharacteristic(Characteristic.On)
-          .onGet(async () => this.active && (this.activeIdentifier === id))
+          .onGet(async () => this.active === 1 && this.activeIdentifier === id)
           .onSet(async (val) => {
-            if (val) {
-              await this._ensureOn();
-              await this._setInputByIdentifier(id);
-              // Turn off other input switches
-              this.inputs.forEach((other, j) => {
-                const oid = (typeof other.identifier === 'number') ? other.identifier : (j + 1);
-                if (oid !== id) {
-                  const os = this.accessory.getService(`${other.label || `Input ${oid}`} Switch`);
-                  if (os) os.updateCharacteristic(Characteristic.On, false);
-                }
-              });
-            } else {
-              // no-op
-            }
+            if (!val) return;
+            await this._ensureOn();
+            await this._setInputByIdentifier(id); // also turns the other input switches off
           });
       });
     }
@@ -283,6 +1171,66 @@ class PhilipsDLineTelevisionAccessory {
     // Link speaker to TV
     this.televisionService.addLinkedService(this.speakerService);
 
+    // --- Audio out level, treble and bass as Fan services (a second speaker isn't shown by the Home app) ---
+    // Fan whose "off" is a level (0 for audio out, the neutral 50 for treble/bass); "on" restores last()
+    const levelService = (enabled, name, subtype, get, set, offLevel, last) => {
+      const existing = this.accessory.getServiceById(Service.Fan, subtype);
+      if (!enabled) {
+        if (existing) this.accessory.removeService(existing);
+        return null;
+      }
+      const svc = existing || this.accessory.addService(Service.Fan, name, subtype);
+      const run = async (fn) => {
+        try {
+          await fn();
+        } catch (e) {
+          this.log.error(`Failed to set ${name}:`, e.message);
+          throw new hap.HapStatusError(hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+        }
+      };
+      svc.getCharacteristic(Characteristic.On)
+        .onGet(async () => this.active === 1 && (get() ?? offLevel) !== offLevel)
+        .onSet(async (val) => {
+          if (val && (get() ?? offLevel) !== offLevel) return; // sent along with RotationSpeed; nothing to restore
+          const level = val ? last() : offLevel;
+          if (level == null) {
+            this.log.info(`${this.name}: no earlier ${name} level to restore; set it with the slider.`);
+            setTimeout(() => svc.updateCharacteristic(Characteristic.On, false), 100);
+            return;
+          }
+          await run(() => set(level));
+        });
+      svc.getCharacteristic(Characteristic.RotationSpeed)
+        .onGet(async () => get() ?? offLevel)
+        .onSet(async (val) => run(() => set(val)));
+      return svc;
+    };
+    this.audioOutService = levelService(this.audio.exposeAudioOut, 'Audio Out', 'audio-out',
+      () => this.audio.out, v => this.setAudioOut(v), 0, () => this.audio.lastOut);
+    this.trebleService = levelService(this.audio.exposeTrebleBass, 'Treble', 'treble',
+      () => this.audio.treble, v => this.setAudioParameter('treble', v), 50, () => this.audio.lastTreble);
+    this.bassService = levelService(this.audio.exposeTrebleBass, 'Bass', 'bass',
+      () => this.audio.bass, v => this.setAudioParameter('bass', v), 50, () => this.audio.lastBass);
+
+    // --- Internal speakers / external audio output ---
+    if (this.audio.speakerSetCode) {
+      this.speakerSwitchService = this.accessory.getServiceById(Service.Switch, 'external-speakers')
+        || this.accessory.addService(Service.Switch, 'External Speakers', 'external-speakers');
+      this.speakerSwitchService.getCharacteristic(Characteristic.On)
+        .onGet(async () => this.audio.external)
+        .onSet(async (val) => {
+          try {
+            await this.setExternalSpeakers(!!val);
+          } catch (e) {
+            this.log.error('Failed to select speakers:', e.message);
+            throw new hap.HapStatusError(hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+          }
+        });
+    } else {
+      const existing = this.accessory.getServiceById(Service.Switch, 'external-speakers');
+      if (existing) this.accessory.removeService(existing);
+    }
+
     // --- Brightness as a Lightbulb service ---
     if (this.exposeBrightness) {
       this.backlightService = this.accessory.getService('Backlight')
@@ -329,63 +1277,207 @@ class PhilipsDLineTelevisionAccessory {
       }
     }
 
-    // Publish Accessory information
-    const info = this.accessory.getService(Service.AccessoryInformation);
-    info
-      .setCharacteristic(Characteristic.Manufacturer, 'Philips (Signage)')
-      .setCharacteristic(Characteristic.Model, 'D-Line (SICP over IP)')
-      .setCharacteristic(Characteristic.SerialNumber, this.host);
-  }
-
+    // --- Video presets as Switch services (mutually exclusive) ---
+    const presetSubtypes = this.videoPresets.map(p => 'preset-' + p.name);
+    this.accessory.services
+      .filter(svc => svc.UUID === Service.Switch.UUID && svc.subtype?.startsWith('preset-') && !presetSubtypes.includes(svc.subtype))
+      .forEach(svc => this.accessory.removeService(svc));
+
+    this.videoPresets.forEach(preset => {
+      const subtype = 'preset-' + preset.name;
+      const label = `${preset.name} Picture`;
+      const s = this.accessory.getServiceById(Service.Switch, subtype)
+        || this.accessory.addService(Service.Switch, label, subtype);
+      s.getCharacteristic(Characteristic.On)
+        .onGet(async () => this.accessory.context.activePreset === preset.name)
+        .onSet(async (val) => {
+          if (!val) {
+            // A preset can't be "un-applied"; keep the switch on
+            setTimeout(() => this._updatePresetSwitches(), 100);
+            return;
+          }
+          if (this.active !== 1) {
+            this.log.info(`Ignoring video preset "${preset.name}" because TV is OFF.`);
+            setTimeout(() => this._updatePresetSwitches(), 100);
+            return;
+          }
+          try {
+            await this._applyVideoPreset(preset.name);
+          } catch (e) {
+            this.log.error(`Failed to apply video preset "${preset.name}":`, e.message);
+            throw new hap.HapStatusError(hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+          }
+        });
+    });
+
+    // --- Custom commands as Switch services ---
+    const customSubtypes = this.customCommands.map(c => 'custom-' + c.name);
+    this.accessory.services
+      .filter(svc => svc.UUID === Service.Switch.UUID && svc.subtype?.startsWith('custom-') && !customSubtypes.includes(svc.subtype))
+      .forEach(svc => this.accessory.removeService(svc));
+
+    this.accessory.context.customCommands = this.accessory.context.customCommands || {};
+    this.customCommands.forEach(cmd => {
+      const subtype = 'custom-' + cmd.name;
+      const s = this.accessory.getServiceById(Service.Switch, subtype)
+        || this.accessory.addService(Service.Switch, cmd.name, subtype);
+      s.getCharacteristic(Characteristic.On)
+        .onGet(async () => !!cmd.off && !!this.accessory.context.customCommands[cmd.name])
+        .onSet(async (val) => {
+          if (!cmd.off && !val) return;
+          try {
+            await this._sendCustomCommand(cmd, !!val);
+          } catch (e) {
+            this.log.error(`Custom command "${cmd.name}" failed:`, e.message);
+            throw new hap.HapStatusError(hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+          }
+        });
+    });
+
+    // --- Temperature and health sensors ---
+    if (this.temperature.exposeSensor) {
+      this.temperatureService = this.accessory.getServiceById(Service.TemperatureSensor, 'temperature')
+        || this.accessory.addService(Service.TemperatureSensor, `${this.name} Temperature`, 'temperature');
+      this.temperatureService.getCharacteristic(Characteristic.CurrentTemperature)
+        .onGet(async () => this.temperature.current ?? 0);
+    } else {
+      const existing = this.accessory.getServiceById(Service.TemperatureSensor, 'temperature');
+      if (existing) this.accessory.removeService(existing);
+    }
+
+    if (this.temperature.exposeHealth) {
+      // Contact "open" = fault (overheated or not answering), for alert automations
+      this.healthService = this.accessory.getServiceById(Service.ContactSensor, 'health')
+        || this.accessory.addService(Service.ContactSensor, `${this.name} Health`, 'health');
+    } else {
+      const existing = this.accessory.getServiceById(Service.ContactSensor, 'health');
+      if (existing) this.accessory.removeService(existing);
+    }
+
+    // Publish Accessory information
+    const info = this.accessory.getService(Service.AccessoryInformation);
+    info
+      .setCharacteristic(Characteristic.Manufacturer, 'Philips (Signage)')
+      .setCharacteristic(Characteristic.Model, 'D-Line (SICP over IP)')
+      .setCharacteristic(Characteristic.SerialNumber, this.host || this.path);
+    // Real values from the last identification (refreshed by the first poll)
+    if (this.deviceInfo) this._applyDeviceInfo(this.deviceInfo);
+  }
+
+  /** Snapshot of the known state (for the HTTP API and MQTT bridge) */
+  getState() {
+    const input = this.inputs.find((inp, idx) => inputIdentifier(inp, idx) === this.activeIdentifier);
+    return {
+      id: this.id,
+      name: this.name,
+      host: this.host,
+      reachable: this.reachable,
+      power: this.active === 1,
+      input: this.activeIdentifier,
+      inputLabel: input?.label ?? null,
+      volume: this.volume.current,
+      muted: this.volume.muted,
+      brightness: this.brightness.current,
+      model: this.deviceInfo?.model ?? null,
+      serial: this.deviceInfo?.serial ?? this.serial,
+    };
+  }
+
+  /** Emit 'state' if power, input, volume, mute, brightness or reachability changed */
+  _notifyState() {
+    const state = this.getState();
+    const json = JSON.stringify(state);
+    if (json === this.lastState) return;
+    this.lastState = json;
+    this.events.emit('state', state);
+  }
+
+  /** Stop polling, the schedule and history timers and close the connection (called by the platform on shutdown) */
+  close() {
+    this.stopped = true;
+    clearTimeout(this.pollTimer);
+    clearInterval(this.scheduleTimer);
+    clearInterval(this.aliveTimer);
+    clearTimeout(this.summaryTimer);
+    this.client.close();
+  }
+
+  /** Point the accessory at a new address (e.g. after a DHCP change found by discovery) */
+  updateHost(host) {
+    this.log.info(`${this.name}: address changed from ${this.host} to ${host}.`);
+    this.host = host;
+    this.client.close();
+    this.client.transport.host = host;
+    this.accessory.context.conf = { ...this.accessory.context.conf, host };
+  }
+
   // ---------------- Handlers ----------------
 
   async handleGetActive() {
     try {
-      const pkt = buildSicpPacket(this.monitorId, [0x19], this.includeGroup, this.groupId); // Get Power
-      const reply = await this.client.send(pkt);
-      const parsed = parseReply(reply, this.includeGroup);
-      // parsed.raw is e.g. "0x06 0x02" where 0x02 is ON.
-      this.platform.log.debug('GetActive reply:', parsed.raw);
-
-      // SICP Get Power Reply: [Len, Mon, Grp, ACK(06), Status] or just [ACK, Status] depending on model.
-      // We need to actually parse the status byte.
-      // Assuming the last byte before checksum or the byte after 0x06 is status.
-      // Let's look for 0x02 (On) or 0x01 (Standby) in the reply.
-      const bytes = [...reply];
-      // Simple heuristic: if it contains 0x02, it's ON. If 0x01, it's OFF.
-      // Note: This matches the Set Power command (0x02=On, 0x01=Off).
-      if (bytes.includes(0x02)) {
-        this.active = 1;
-      } else if (bytes.includes(0x01)) {
-        this.active = 0;
+      const parsed = await this._send([0x19]); // Get Power
+      this.log.debug('GetActive reply:', parsed.raw);
+
+      // SICP Get Power reply: DATA = [0x19, state] where 0x01 = Off (standby), 0x02 = On
+      if (parsed.type === 'data' && parsed.command === 0x19 && parsed.payload.length) {
+        // While booting the display may still report standby; don't flip the tile back off
+        if (parsed.payload[0] === 0x02 || !this.ready) this.active = parsed.payload[0] === 0x02 ? 1 : 0;
+      } else if (parsed.nack || parsed.nav) {
+        this.log.debug(`GetActive not answered (${parsed.type}); keeping last known state.`);
       }
-      // If we got a reply but couldn't check status, we validly connected at least. 
-      // But typically we should trust the parsed status.
 
-      return this.active;
+      this._setReachable(true);
     } catch (e) {
-      this.log.warn('GetActive failed (TV unreachable?):', e.message);
-      this.active = 0; // Assume OFF if unreachable
-      return this.active;
+      this.log.debug('GetActive failed:', e.message);
+      this._setReachable(false, e);
     }
+    this._notifyState();
+    return this.active;
+  }
+
+  /**
+   * Count consecutive power poll failures. The display goes offline (StatusFault, shown
+   * as off) after `offlineAfter` of them; going offline and coming back are logged once.
+   */
+  _setReachable(ok, err) {
+    if (ok) {
+      if (!this.reachable) this.log.info(`${this.name}: responding again after ${this.failures} failed attempts.`);
+      this.failures = 0;
+      this.reachable = true;
+    } else {
+      this.failures++;
+      if (this.reachable && this.failures >= this.offlineAfter) {
+        this.reachable = false;
+        this.active = 0;
+        this.log.warn(`${this.name}: not responding (${err.message}); showing it as offline and polling less often until it answers.`);
+      }
+    }
+    const { StatusFault } = hap.Characteristic;
+    this.televisionService.updateCharacteristic(StatusFault, this.reachable ? StatusFault.NO_FAULT : StatusFault.GENERAL_FAULT);
+  }
+
+  /** Poll delay: `pollInterval`, doubled for each failure while offline, up to `maxPollInterval` */
+  _pollDelay() {
+    if (this.reachable) return this.pollInterval * 1000;
+    const doublings = Math.min(this.failures - this.offlineAfter + 1, 16);
+    return Math.min(this.pollInterval * 2 ** doublings, this.maxPollInterval) * 1000;
   }
 
   async handleSetActive(value) {
     const on = (value === 1 || value === true);
     try {
-      const pkt = buildSicpPacket(this.monitorId, [0x18, on ? 0x02 : 0x01], this.includeGroup, this.groupId); // Set Power
-      const reply = await this.client.send(pkt);
-      const parsed = parseReply(reply, this.includeGroup);
+      const wasOn = this.active === 1;
+      if (on && !wasOn && this.mac) await this._wake();
+      const parsed = await this._command([0x18, on ? 0x02 : 0x01]); // Set Power
       this.log.debug('SetActive reply:', parsed.raw);
-      if (parsed.nack || parsed.nav) throw new Error('Device rejected command');
       this.active = on ? 1 : 0;
-      if (!on && this.exposeInputSwitches) {
-        this.inputs.forEach((inp, idx) => {
-          const id = (typeof inp.identifier === 'number') ? inp.identifier : (idx + 1);
-          const s = this.accessory.getService(`${inp.label || `Input ${id}`} Switch`);
-          if (s) s.updateCharacteristic(hap.Characteristic.On, false);
-        });
+      if (!on) this._updateInputSwitches(null);
+      if (on && !wasOn && !this.ready) {
+        // Commands issued while the display boots wait for this (see _ensureOn)
+        this.ready = this._waitUntilReady().finally(() => { this.ready = null; });
+        this.ready.catch(() => { });
       }
+      this._notifyState();
     } catch (e) {
       this.log.error('SetActive error:', e.message);
       this.televisionService.updateCharacteristic(hap.Characteristic.Active, this.active);
@@ -403,31 +1495,39 @@ class PhilipsDLineTelevisionAccessory {
     }
   }
 
+  async handleRemoteKey(value) {
+    const RemoteKey = hap.Characteristic.RemoteKey;
+    const name = Object.keys(RemoteKey).find(k => RemoteKey[k] === value);
+    await this._sendRemoteKey(name || String(value));
+  }
+
   async handleSetVolume(val) {
-    const target = clamp(Number(val), this.volume.min, this.volume.max);
+    return this.volumeSetter.set(clamp(Number(val), this.volume.min, this.volume.max));
+  }
+
+  async _applyVolume(target, setter) {
     await this._ensureOn();
     if (this.volume.setCode) {
       // Absolute mode
       const code = this._parseCode(this.volume.setCode);
       if (code === 0x44) {
         // SICP Volume Set: [0x44, SpeakerVol, AudioOutVol]; use 0xFF (no change) for Audio Out
-        await this._send([code, target & 0xFF, 0xFF]);
+        let audioOut = 0xFF;
+        if (!this.features.noChangeBytes) audioOut = (await this._query([0x45]))?.[1] ?? audioOut;
+        await this._command([code, target & 0xFF, audioOut & 0xFF]);
       } else {
-        await this._send([code, target & 0xFF]);
+        await this._command([code, target & 0xFF]);
       }
     } else if (this.volume.upCode && this.volume.downCode) {
-      // Relative mode: step towards target
-      const diff = target - this.volume.current;
-      const stepCode = diff > 0 ? this._parseCode(this.volume.upCode) : this._parseCode(this.volume.downCode);
-      for (let i = 0; i < Math.abs(diff); i++) {
-        await this._send([stepCode]);
-        await delay(this.volume.stepMs);
-      }
+      // Relative mode: step towards target, stopping early when a newer target arrives
+      await this._stepTowards(this.volume, target, setter);
     } else {
       this.log.warn('Volume codes not configured; ignoring setVolume.');
     }
+    if (setter.pending) return; // stepped part of the way; the newer target continues from here
     this.volume.current = target;
     this.speakerService.updateCharacteristic(hap.Characteristic.Volume, this.volume.current);
+    this._notifyState();
   }
 
   async handleSetMute(val) {
@@ -435,43 +1535,128 @@ class PhilipsDLineTelevisionAccessory {
     await this._ensureOn();
     if (this.volume.muteSetCode) {
       const code = this._parseCode(this.volume.muteSetCode);
-      await this._send([code, mute ? 0x01 : 0x00]);
+      await this._command([code, mute ? 0x01 : 0x00]);
     } else if (this.volume.muteToggleCode) {
       const code = this._parseCode(this.volume.muteToggleCode);
       // If desired state differs, send one toggle
       if (mute !== this.volume.muted) {
-        await this._send([code]);
+        await this._command([code]);
       }
     } else {
       this.log.warn('Mute codes not configured; ignoring mute.');
     }
     this.volume.muted = mute;
     this.speakerService.updateCharacteristic(hap.Characteristic.Mute, this.volume.muted);
+    this._notifyState();
   }
 
   // ---------------- Helpers ----------------
 
+  /**
+   * Make sure the display is on and ready for commands: power it on if needed, then
+   * wait until it reports power on. Fails with SERVICE_COMMUNICATION_FAILURE only if
+   * it doesn't come up within powerOnTimeout.
+   */
   async _ensureOn() {
-    if (this.active !== 1) {
-      await this.handleSetActive(1);
-      await delay(300);
+    try {
+      if (!this.ready && this.active !== 1) {
+        // Concurrent callers share one power-on command
+        this.poweringOn = this.poweringOn || this.handleSetActive(1).finally(() => { this.poweringOn = null; });
+        await this.poweringOn;
+      }
+      if (this.ready) await this.ready;
+    } catch (e) {
+      if (e instanceof hap.HapStatusError) throw e;
+      this.log.error('Failed to power on display:', e.message);
+      throw new hap.HapStatusError(hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+    }
+  }
+
+  /** Send Wake-on-LAN and wait until the SICP port accepts connections again */
+  async _wake() {
+    const deadline = Date.now() + this.powerOnTimeout * 1000;
+    let sent = 0;
+    for (;;) {
+      // Repeat the magic packet every few seconds in case one is lost
+      if (sent === 0 || Date.now() - sent >= 3000) {
+        this.log.debug(`Sending Wake-on-LAN to ${this.mac} via ${this.wolAddress}:${this.wolPort}`);
+        await sendWakeOnLan(this.mac, this.wolAddress, this.wolPort);
+        sent = Date.now();
+      }
+      if (await probePort(this.host, this.port, 1000)) return;
+      if (Date.now() > deadline) break;
+      await delay(this.powerOnPollMs);
     }
+    throw new Error(`Display did not wake up (tcp/${this.port} closed after ${this.powerOnTimeout}s)`);
   }
 
+  /** Poll power status (0x19) after a power-on until the display reports on */
+  async _waitUntilReady() {
+    const deadline = Date.now() + this.powerOnTimeout * 1000;
+    const started = Date.now();
+    for (;;) {
+      try {
+        const parsed = await this._send([0x19]);
+        if (parsed.type === 'data' && parsed.command === 0x19 && parsed.payload[0] === 0x02) {
+          this.log.debug(`Display ready after ${Date.now() - started} ms.`);
+          return;
+        }
+      } catch (e) {
+        // Network stack may still be coming up; keep trying until the deadline
+        this.log.debug('Waiting for display to boot:', e.message);
+      }
+      if (Date.now() + this.powerOnPollMs > deadline) break;
+      await delay(this.powerOnPollMs);
+    }
+    this.log.error(`Display did not report power on within ${this.powerOnTimeout}s.`);
+    throw new hap.HapStatusError(hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+  }
+
+  /** SICP source code of the input with this identifier; null if it isn't configured */
   _codeFromIdentifier(identifier) {
-    const inp = this.inputs.find(x => (x.identifier === identifier));
-    if (!inp) return null;
-    const raw = (typeof inp.code === 'string') ? inp.code : inp.code?.toString();
-    if (!raw) return null;
-    const code = raw.trim().toLowerCase().startsWith('0x') ? parseInt(raw, 16) : parseInt(raw, 10);
-    if (Number.isNaN(code)) return null;
-    return code & 0xFF;
+    const inp = this.inputs.find((x, idx) => inputIdentifier(x, idx) === identifier);
+    if (!inp || inp.code == null || inp.code === '') return null;
+    return parseCode(inp.code);
+  }
+
+  /**
+   * Input Source Set for the input with this identifier: [0xAC, code, ...launch]. The default
+   * launch bytes are the extended payload this model expects; media player / browser inputs can
+   * pick a playlist or URL index there.
+   */
+  _inputPacket(identifier) {
+    const inp = this.inputs.find((x, idx) => inputIdentifier(x, idx) === identifier);
+    return [0xAC, this._codeFromIdentifier(identifier), ...inp.launch];
+  }
+
+  /** Identifier of the input with this label or identifier; null if it isn't configured */
+  _findInputIdentifier(key) {
+    const idx = this.inputs.findIndex(i => i.label === key);
+    const identifier = idx < 0 ? Number(key) : inputIdentifier(this.inputs[idx], idx);
+    return this._codeFromIdentifier(identifier) == null ? null : identifier;
   }
 
+  /** Parse a configured code; they are checked at startup (see validateDisplayConfig), so this only throws on a bug */
   _parseCode(raw) {
-    if (typeof raw === 'number') return raw & 0xFF;
-    const s = String(raw).trim().toLowerCase();
-    return (s.startsWith('0x') ? parseInt(s, 16) : parseInt(s, 10)) & 0xFF;
+    const code = parseCode(raw);
+    if (code == null) throw new TypeError(`Invalid SICP code: ${raw}`);
+    return code;
+  }
+
+  /** Simulate an IR remote key press, by HomeKit RemoteKey name (or MENU) */
+  async _sendRemoteKey(name) {
+    const code = this.remoteKeys.keys[name];
+    if (!code) {
+      this.log.debug(`Remote key ${name} is not mapped; ignoring.`);
+      return;
+    }
+    try {
+      this.log.debug(`Remote key: ${name}`);
+      await this._command([this._parseCode(this.remoteKeys.command), this._parseCode(code)]);
+    } catch (e) {
+      this.log.error(`Remote key ${name} failed:`, e.message);
+      throw new hap.HapStatusError(hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+    }
   }
 
   async _setInputByIdentifier(identifier) {
@@ -480,13 +1665,12 @@ class PhilipsDLineTelevisionAccessory {
       this.log.error('Unknown input identifier:', identifier);
       throw new Error(`Unknown input identifier: ${identifier}`);
     }
+    const packet = this._inputPacket(identifier);
 
     this.log.info(`Requesting Input Change to: ${identifier} (SICP 0x${code.toString(16)})`);
 
     // Attempt 1
-    // Extended payload for this model: [0xAC, code, 0x09, 0x01, 0x00]
-    let reply = await this._send([0xAC, code, 0x09, 0x01, 0x00]);
-    let parsed = parseReply(reply, this.includeGroup);
+    let parsed = await this._send(packet);
 
     this.log.info(`SetInput reply (raw): ${parsed.raw}`);
 
@@ -494,8 +1678,7 @@ class PhilipsDLineTelevisionAccessory {
     if (parsed.nav || parsed.nack) {
       this.log.warn(`SetInput attempt 1 rejected (${parsed.nav ? 'nav' : 'nack'}), retrying in 500ms...`);
       await delay(500);
-      reply = await this._send([0xAC, code, 0x09, 0x01, 0x00]);
-      parsed = parseReply(reply, this.includeGroup);
+      parsed = await this._send(packet);
       this.log.info(`SetInput retry reply (raw): ${parsed.raw}`);
     }
 
@@ -508,101 +1691,1234 @@ class PhilipsDLineTelevisionAccessory {
       if (this.active === 1) {
         await delay(200);
         const currentInput = await this._getInput();
-        this.log.info(`Verification: TV reports current input code: 0x${currentInput.toString(16)}`);
+        if (currentInput != null) {
+          this.log.info(`Verification: TV reports current input code: 0x${currentInput.toString(16)}`);
+        }
       }
     } catch (e) {
       this.log.warn('Failed to verify input state:', e.message);
     }
 
+    this._updateActiveInput(identifier);
+  }
+
+  /** Reflect the active input on ActiveIdentifier and the per-input switches */
+  _updateActiveInput(identifier) {
     this.activeIdentifier = identifier;
     this.televisionService.updateCharacteristic(hap.Characteristic.ActiveIdentifier, identifier);
-    if (this.exposeInputSwitches) {
-      this.inputs.forEach((inp, idx) => {
-        const id = (typeof inp.identifier === 'number') ? inp.identifier : (idx + 1);
-        const s = this.accessory.getService(`${inp.label || `Input ${id}`} Switch`);
-        if (s) s.updateCharacteristic(hap.Characteristic.On, id === identifier);
-      });
+    this._updateInputSwitches(identifier);
+    this._notifyState();
+  }
+
+  /** Turn on the switch of `identifier` and off all others (null = all off) */
+  _updateInputSwitches(identifier) {
+    if (!this.exposeInputSwitches) return;
+    this.inputs.forEach((inp, idx) => {
+      const id = inputIdentifier(inp, idx);
+      const s = this.accessory.getServiceById(hap.Service.Switch, 'switch-' + id);
+      if (s) s.updateCharacteristic(hap.Characteristic.On, id === identifier);
+    });
+  }
+
+  /** Map a SICP source code back to the configured input identifier */
+  _identifierFromCode(code) {
+    const idx = this.inputs.findIndex(inp => inp.code != null && this._parseCode(inp.code) === code);
+    if (idx < 0) return null;
+    return inputIdentifier(this.inputs[idx], idx);
+  }
+
+  /** Sync ActiveIdentifier with the source the display reports (remote, CMS schedule, auto-signal detection) */
+  async _refreshInput() {
+    const code = await this._getInput();
+    if (code == null) return;
+    const identifier = this._identifierFromCode(code);
+    if (identifier == null) {
+      if (!this.unknownInputCodes.has(code)) {
+        this.unknownInputCodes.add(code);
+        const known = Object.entries(INPUT_SOURCES).find(([, src]) => src.code === code);
+        const hint = known ? ` (${known[1].label}, source "${known[0]}")` : '';
+        this.log.warn(`Display reports input source 0x${code.toString(16).padStart(2, '0')}${hint}, which is not configured in "inputs".`);
+      }
+      return;
+    }
+    if (identifier !== this.activeIdentifier) {
+      this.log.info(`Input changed outside HomeKit to: ${identifier} (SICP 0x${code.toString(16)})`);
     }
+    this._updateActiveInput(identifier);
   }
 
+  /** SICP Get Input: 0xAD -> DATA = [0xAD, InputType, InputNumber, ...]; null if not supported */
   async _getInput() {
-    // SICP Get Input: 0xAD
-    const reply = await this._send([0xAD]);
-    const parsed = parseReply(reply, this.includeGroup);
-    this.log.debug(`GetInput reply (raw): ${parsed.raw}`);
-    // Reply: [Len, Mon, Grp, Status, InputCode, CS] (if includeGroup)
-    // index 4 is input code
-    const valIdx = this.includeGroup ? 4 : 3;
-    if (reply.length > valIdx) {
-      return reply[valIdx];
-    }
-    return 0;
+    const payload = await this._query([0xAD]);
+    return payload?.length ? payload[0] : null;
   }
 
   async _setBrightness(val) {
-    const target = clamp(Number(val), this.brightness.min, this.brightness.max);
+    return this.brightnessSetter.set(clamp(Number(val), this.brightness.min, this.brightness.max));
+  }
+
+  async _applyBrightness(target, setter) {
     if (this.brightness.setCode) {
       const code = this._parseCode(this.brightness.setCode);
       if (code === 0x32) {
-        // SICP Video Parameters Set: [0x32, Brightness, Color, Contrast, Sharpness, Tint, BlackLevel, Gamma]
-        // Use 0xFF for "no change" on other fields (supported since SICP 2.09)
-        await this._send([code, target & 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);
+        await this._setVideoParameters({ brightness: target });
       } else {
-        await this._send([code, target & 0xFF]);
+        await this._command([code, target & 0xFF]);
       }
     } else if (this.brightness.upCode && this.brightness.downCode) {
-      const diff = target - this.brightness.current;
-      const stepCode = diff > 0 ? this._parseCode(this.brightness.upCode) : this._parseCode(this.brightness.downCode);
-      for (let i = 0; i < Math.abs(diff); i++) {
-        await this._send([stepCode]);
-        await delay(this.brightness.stepMs);
-      }
+      await this._stepTowards(this.brightness, target, setter);
     } else {
       // Fallback: If no brightness setCode or up/down codes, try default 0x32 (Video Parameters)
       // Many D-Lines support 0x32 for brightness.
       this.log.debug('No brightness codes configured, attempting default SICP 0x32 command.');
       try {
-        // [0x32, Brightness, Color, Contrast, Sharpness, Tint, BlackLevel, Gamma]
-        // We'll try just sending [0x32, val]. Some older SICP might accept just valid params.
-        // Or better, use the full safe string:
-        // await this._send([0x32, target & 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);
-        // Wait, the code existed but was inside 'if (this.brightness.setCode)'.
-        // Let's force try 0x32 if nothing else is set.
-        await this._send([0x32, target & 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);
+        await this._setVideoParameters({ brightness: target });
       } catch (e) {
         this.log.warn('Default brightness 0x32 failed:', e.message);
       }
     }
+    if (setter.pending) return;
     this.brightness.current = target;
     if (this.exposeBrightness) {
       this.backlightService.updateCharacteristic(hap.Characteristic.Brightness, this.brightness.current);
       this.backlightService.updateCharacteristic(hap.Characteristic.On, this.brightness.current > this.brightness.min);
     }
+    this._notifyState();
+  }
+
+  /**
+   * Relative mode: send up/down codes one step at a time, keeping `current` in step with the
+   * display so a newer target (`setter.pending`) can take over from where this one stopped.
+   */
+  async _stepTowards(section, target, setter) {
+    const up = this._parseCode(section.upCode);
+    const down = this._parseCode(section.downCode);
+    while (section.current !== target && !setter.pending) {
+      const dir = target > section.current ? 1 : -1;
+      await this._command([dir > 0 ? up : down]);
+      section.current += dir;
+      await delay(section.stepMs);
+    }
+  }
+
+  /** Audio out (line-out) level, 0-100 */
+  async setAudioOut(val) {
+    return this.audioOutSetter.set(clamp(Math.round(Number(val)), 0, 100));
+  }
+
+  /** SICP Volume Set: [0x44, SpeakerVol, AudioOutVol], leaving the speaker volume unchanged (0xFF) */
+  async _applyAudioOut(level) {
+    await this._ensureOn();
+    let speaker = 0xFF;
+    if (!this.features.noChangeBytes) speaker = (await this._query([0x45]))?.[0] ?? this.volume.current;
+    await this._command([0x44, speaker & 0xFF, level]);
+    this._updateAudio({ out: level });
+  }
+
+  /** Treble or bass, 0-100 */
+  async setAudioParameter(name, val) {
+    const value = clamp(Math.round(Number(val)), 0, 100);
+    // Both values go out in one command: merge with a target still waiting to be applied
+    const base = this.audioParamsSetter.pending ? this.audioParamsSetter.target : {};
+    return this.audioParamsSetter.set({ ...base, [name]: value });
   }
 
+  /** SICP Audio Parameters Set: [0x42, Treble, Bass]; unknown current values are read first */
+  async _applyAudioParameters(target) {
+    await this._ensureOn();
+    if (this.audio.treble == null || this.audio.bass == null) await this._refreshAudioParameters();
+    const treble = target.treble ?? this.audio.treble ?? 50;
+    const bass = target.bass ?? this.audio.bass ?? 50;
+    await this._command([0x42, treble, bass]);
+    this._updateAudio({ treble, bass });
+  }
+
+  /** Route sound to the external audio output (true) or the internal speakers (false) */
+  async setExternalSpeakers(external) {
+    await this._ensureOn();
+    const code = this._parseCode(this.audio.speakerSetCode);
+    await this._command([code, this._parseCode(external ? this.audio.externalValue : this.audio.internalValue)]);
+    this._updateAudio({ external });
+  }
+
+  _updateAudio(values) {
+    const Characteristic = hap.Characteristic;
+    Object.assign(this.audio, values);
+    if (values.out != null) {
+      if (values.out > 0) this.audio.lastOut = values.out;
+      this.audioOutService?.updateCharacteristic(Characteristic.RotationSpeed, values.out);
+      this.audioOutService?.updateCharacteristic(Characteristic.On, values.out > 0);
+    }
+    for (const name of ['treble', 'bass']) {
+      if (values[name] == null) continue;
+      if (values[name] !== 50) this.audio[name === 'treble' ? 'lastTreble' : 'lastBass'] = values[name];
+      const svc = name === 'treble' ? this.trebleService : this.bassService;
+      svc?.updateCharacteristic(Characteristic.RotationSpeed, values[name]);
+      svc?.updateCharacteristic(Characteristic.On, values[name] !== 50); // off = neutral
+    }
+    if (values.external != null) {
+      this.accessory.context.externalSpeakers = values.external;
+      this.speakerSwitchService?.updateCharacteristic(Characteristic.On, values.external);
+    }
+  }
+
+  /**
+   * SICP Video Parameters Set: [0x32, Brightness, Color, Contrast, Sharpness, Tint, BlackLevel, Gamma].
+   * Fields missing from `params` are sent as 0xFF ("no change", supported since SICP 2.09).
+   */
+  async _setVideoParameters(params) {
+    // Older SICP versions don't know 0xFF: re-send the current values instead
+    const current = this.features.noChangeBytes ? null : await this._query([0x33]);
+    const values = VIDEO_PARAMETERS.map((k, i) => {
+      if (params[k] != null && params[k] !== '') return this._parseCode(params[k]);
+      return current?.[i] ?? 0xFF;
+    });
+    await this._command([0x32, ...values]);
+  }
+
+  /** Apply a named video preset (video parameters + optional picture style) */
+  async _applyVideoPreset(name) {
+    const preset = this.videoPresets.find(p => p.name === name);
+    if (!preset) throw new Error(`Unknown video preset: ${name}`);
+
+    this.log.info(`Applying video preset: ${name}`);
+    if (VIDEO_PARAMETERS.some(k => preset[k] != null && preset[k] !== '')) {
+      await this._setVideoParameters(preset);
+    }
+    if (preset.pictureStyle != null && preset.pictureStyle !== '') {
+      if (!this.pictureStyleCode) {
+        this.log.warn(`Video preset "${name}" sets pictureStyle but no "pictureStyleCode" is configured; skipping.`);
+      } else {
+        await this._command([this._parseCode(this.pictureStyleCode), this._parseCode(preset.pictureStyle)]);
+      }
+    }
+
+    if (preset.brightness != null && preset.brightness !== '') {
+      this.brightness.current = clamp(this._parseCode(preset.brightness), this.brightness.min, this.brightness.max);
+      if (this.exposeBrightness) {
+        this.backlightService.updateCharacteristic(hap.Characteristic.Brightness, this.brightness.current);
+        this.backlightService.updateCharacteristic(hap.Characteristic.On, this.brightness.current > this.brightness.min);
+      }
+    }
+    this.accessory.context.activePreset = name;
+    this._updatePresetSwitches();
+    this._notifyState();
+  }
+
+  /** Only the last applied preset's switch is on */
+  _updatePresetSwitches() {
+    for (const preset of this.videoPresets) {
+      const s = this.accessory.getServiceById(hap.Service.Switch, 'preset-' + preset.name);
+      if (s) s.updateCharacteristic(hap.Characteristic.On, this.accessory.context.activePreset === preset.name);
+    }
+  }
+
+  /** Send a custom command's on or off bytes; buttons without "off" switch back off after a second */
+  async _sendCustomCommand(cmd, on) {
+    const s = this.accessory.getServiceById(hap.Service.Switch, 'custom-' + cmd.name);
+    this.log.info(`Custom command "${cmd.name}": ${on ? 'on' : 'off'}`);
+    await this._command(on ? cmd.on : cmd.off);
+    if (!cmd.off) {
+      setTimeout(() => s?.updateCharacteristic(hap.Characteristic.On, false), 1000);
+      return;
+    }
+    this.accessory.context.customCommands[cmd.name] = on;
+  }
+
+  /** Read the state of custom commands with a status query: on when the reply payload starts with onReply */
+  async _refreshCustomCommands() {
+    for (const cmd of this.customCommands) {
+      if (!cmd.query) continue;
+      const payload = await this._query(cmd.query);
+      if (!payload) continue;
+      const on = cmd.onReply.every((b, i) => payload[i] === b);
+      this.accessory.context.customCommands[cmd.name] = on;
+      this.accessory.getServiceById(hap.Service.Switch, 'custom-' + cmd.name)?.updateCharacteristic(hap.Characteristic.On, on);
+    }
+  }
+
+  /** Send a SICP command and return the decoded reply (see parseReply); throws without a reply */
   async _send(dataBytes) {
     const pkt = buildSicpPacket(this.monitorId, dataBytes, this.includeGroup, this.groupId);
-    // Log TX (debug)
-    const rawTx = [...pkt].map(b => '0x' + b.toString(16).padStart(2, '0')).join(' ');
-    this.log.debug(`TX: ${rawTx}`);
+    this.log.debug(`TX: ${formatBytes(pkt)}`);
 
     const reply = await this.client.send(pkt);
-    return reply;
+    const parsed = parseReply(reply, {
+      includeGroup: this.includeGroup,
+      monitorId: this.monitorId,
+      groupId: this.groupId,
+    }, dataBytes[0]);
+    // The connection closed without an answer: the command may not have been executed
+    if (parsed.type === 'none') throw new Error(`SICP: no reply to command 0x${dataBytes[0].toString(16)}`);
+    // Any valid reply (e.g. to a power-on from HomeKit) clears the offline state without waiting for the next poll
+    if (!this.reachable) {
+      this._setReachable(true);
+      this._notifyState();
+    }
+    this._applySettings();
+    return parsed;
+  }
+
+  /**
+   * Program settings kept by the display itself (standby mode, on/off timers) once it answers,
+   * whether or not polling is enabled. Runs in the background; until they succeed they're
+   * retried on the next contact.
+   */
+  _applySettings() {
+    const standby = this.standbyMode != null && !this.standbyModeApplied;
+    const timers = this.scheduleTimers && !this.scheduleTimersApplied;
+    if (this.applyingSettings || (!standby && !timers)) return;
+    this.applyingSettings = (async () => {
+      try {
+        if (standby) await this._applyStandbyMode();
+        if (timers) await this._applyScheduleTimers();
+      } catch (e) {
+        this.log.debug('Failed to apply display settings; retrying on the next contact:', e.message);
+      } finally {
+        this.applyingSettings = null;
+      }
+    })();
+  }
+
+  /** Send a set command and fail if the display answers NACK or NAV */
+  async _command(dataBytes) {
+    const parsed = await this._send(dataBytes);
+    if (parsed.nack || parsed.nav) {
+      throw new Error(`Device rejected command 0x${dataBytes[0].toString(16)} (${parsed.type}, reply: ${parsed.raw})`);
+    }
+    return parsed;
+  }
+
+  /** One poll cycle: power, then (while on) input, volume, mute, brightness, audio and custom command states */
+  async _poll() {
+    if (!this.identified) await this._identify().catch(e => this.log.debug('Device identification failed:', e.message));
+    await this.handleGetActive();
+    this.televisionService.updateCharacteristic(hap.Characteristic.Active, this.active);
+    this._updateHealth();
+    if (this.active !== 1) return;
+
+    try {
+      await this._refreshInput();
+      await this._refreshVolume();
+      await this._refreshBrightness();
+      await this._refreshAudio();
+      await this._refreshCustomCommands();
+      if (this.temperature.enabled) await this._refreshTemperature();
+    } catch (e) {
+      this.log.debug('Failed to refresh input/audio/video/health state:', e.message);
+    }
+  }
+
+  /** SICP Temperature Get (0x2F) -> [0x2F, sensor1, sensor2...] in °C; also reads operating hours */
+  async _refreshTemperature() {
+    const payload = await this._query([0x2F]);
+    if (payload?.length) {
+      this.temperature.sensors = [...payload];
+      this.temperature.current = Math.max(...payload);
+      this.temperatureService?.updateCharacteristic(hap.Characteristic.CurrentTemperature, this.temperature.current);
+    }
+
+    // Miscellaneous Info Get, operating hours: [0x0F, 0x02] -> [0x0F, hoursMSB, hoursLSB]
+    const hours = await this._query([0x0F, 0x02]);
+    if (hours?.length >= 2) {
+      this.temperature.operatingHours = (hours[0] << 8) | hours[1];
+      this.accessory.context.operatingHours = this.temperature.operatingHours;
+    }
+    this.log.debug(`Temperature: ${this.temperature.sensors.join('/')} °C, operating hours: ${this.temperature.operatingHours ?? '?'}`);
+    this._updateHealth();
+  }
+
+  /** Fault when the display stops answering or runs hotter than the configured threshold */
+  _updateHealth() {
+    const overheated = this.temperature.current != null && this.temperature.current > this.temperature.threshold;
+    if (overheated !== this.temperature.overheated) {
+      this.temperature.overheated = overheated;
+      if (overheated) this.log.warn(`Display temperature ${this.temperature.current} °C is above ${this.temperature.threshold} °C.`);
+      else this.log.info(`Display temperature back to ${this.temperature.current} °C.`);
+    }
+    const fault = overheated || !this.reachable;
+    const Characteristic = hap.Characteristic;
+    this.temperatureService?.updateCharacteristic(Characteristic.StatusFault,
+      fault ? Characteristic.StatusFault.GENERAL_FAULT : Characteristic.StatusFault.NO_FAULT);
+    this.healthService?.updateCharacteristic(Characteristic.ContactSensorState,
+      fault ? Characteristic.ContactSensorState.CONTACT_NOT_DETECTED : Characteristic.ContactSensorState.CONTACT_DETECTED);
+  }
+
+  /**
+   * Read the display's identity (model, serial, firmware, SICP version, platform label)
+   * into AccessoryInformation, and pick features from the SICP version.
+   * Throws if the display is unreachable so the next poll tries again.
+   */
+  async _identify() {
+    const info = {
+      model: await this._queryText([0xA1, 0x00]),
+      firmware: await this._queryText([0xA1, 0x01]),
+      serial: await this._queryText([0x15]),
+      sicpVersion: await this._queryText([0xA2, 0x00]),
+      platformLabel: await this._queryText([0xA2, 0x01]),
+      platformVersion: await this._queryText([0xA2, 0x02]),
+    };
+    this.identified = true;
+    this.deviceInfo = info;
+    this.accessory.context.deviceInfo = info;
+    this.log.info(`Display identified: model ${info.model || '?'}, serial ${info.serial || '?'}, `
+      + `firmware ${info.firmware || '?'}, SICP ${info.sicpVersion || '?'}, platform ${info.platformLabel || '?'} ${info.platformVersion || ''}`.trim());
+    this._applyDeviceInfo(info);
+  }
+
+  /** Publish device info and derive feature support from the SICP version */
+  _applyDeviceInfo(info) {
+    const Characteristic = hap.Characteristic;
+    const service = this.accessory.getService(hap.Service.AccessoryInformation);
+    if (info.model) service.updateCharacteristic(Characteristic.Model, info.model);
+    if (info.serial) service.updateCharacteristic(Characteristic.SerialNumber, info.serial);
+    // HomeKit only accepts numeric x.y.z revisions
+    const fw = (info.firmware || '').match(/\d+(\.\d+){0,2}/);
+    if (fw) service.updateCharacteristic(Characteristic.FirmwareRevision, fw[0]);
+
+    const version = (info.sicpVersion || '').match(/(\d+)\.(\d+)/);
+    if (version) {
+      const [major, minor] = [Number(version[1]), Number(version[2])];
+      // 0xFF "no change" bytes in 0x32 / 0x44 were introduced with SICP 2.09
+      this.features.noChangeBytes = major > 2 || (major === 2 && minor >= 9);
+      if (!this.features.noChangeBytes) {
+        this.log.info(`SICP ${info.sicpVersion} doesn't accept "no change" bytes; current values are read back and re-sent instead.`);
+      }
+    }
+  }
+
+  /** SICP Power Saving Mode Set: [0xD2, mode]; throws without a reply so it's tried again */
+  async _applyStandbyMode() {
+    const parsed = await this._send([0xD2, this.standbyMode]);
+    // A display that rejects the mode won't accept it later either
+    this.standbyModeApplied = true;
+    if (parsed.nack || parsed.nav) this.log.warn(`Display rejected standby power mode 0x${this.standbyMode.toString(16)} (${parsed.type}).`);
+    else this.log.info(`Standby power mode set to 0x${this.standbyMode.toString(16)}.`);
+  }
+
+  /**
+   * Program the schedule into the display's own on/off timers so it keeps working while
+   * Homebridge is down. SICP Scheduling Set, one page (1-7) per entry:
+   * [0x5A, page, startHour, startMin, endHour, endMin, input, days, playlist]
+   * with days bit 0 = every week, bits 1-7 = Monday..Sunday. Only marked as done once every
+   * page is answered.
+   */
+  async _applyScheduleTimers() {
+    const entries = this.schedule.filter(e => e.power);
+    if (entries.length > 7) this.log.warn(`${this.name}: the display only has 7 timers; programming the first 7 schedule entries.`);
+    for (const [i, e] of entries.slice(0, 7).entries()) {
+      // The timer always switches to an input; entries without one use the first configured input
+      const identifier = e.input != null ? this._findInputIdentifier(e.input) : inputIdentifier(this.inputs[0], 0);
+      const days = e.days.reduce((mask, d) => mask | (1 << (d === 0 ? 7 : d)), 0x01);
+      const parsed = await this._send([0x5A, i + 1, Math.floor(e.start / 60), e.start % 60, Math.floor(e.end / 60), e.end % 60,
+        this._codeFromIdentifier(identifier), days, 0x00]);
+      if (parsed.nack || parsed.nav) {
+        this.scheduleTimersApplied = true;
+        this.log.warn(`${this.name}: the display rejected on/off timer ${i + 1} (${parsed.type}); not programming its timers.`);
+        return;
+      }
+    }
+    this.scheduleTimersApplied = true;
+    this.log.info(`${this.name}: programmed ${Math.min(entries.length, 7)} on/off timer(s) into the display.`);
+  }
+
+  async _refreshVolume() {
+    // A value read while a slider change is being applied would make the slider jump back
+    if (this.volume.getCode && !this.volumeSetter.running) {
+      const payload = await this._query([this._parseCode(this.volume.getCode)]);
+      if (payload?.length) {
+        this.volume.current = clamp(payload[0], this.volume.min, this.volume.max);
+        this.speakerService.updateCharacteristic(hap.Characteristic.Volume, this.volume.current);
+      }
+    }
+    if (this.volume.muteGetCode) {
+      const payload = await this._query([this._parseCode(this.volume.muteGetCode)]);
+      if (payload?.length) {
+        this.volume.muted = payload[0] === 0x01;
+        this.speakerService.updateCharacteristic(hap.Characteristic.Mute, this.volume.muted);
+      }
+    }
+    this._notifyState();
+  }
+
+  /** Read back audio out, treble/bass and speaker selection, for the controls that are enabled */
+  async _refreshAudio() {
+    if (this.audio.exposeAudioOut && !this.audioOutSetter.running) {
+      // Volume Get: [0x45, SpeakerVol, AudioOutVol]
+      const payload = await this._query([0x45]);
+      if (payload?.length >= 2) this._updateAudio({ out: clamp(payload[1], 0, 100) });
+    }
+    if (this.audio.exposeTrebleBass && !this.audioParamsSetter.running) await this._refreshAudioParameters();
+    if (this.audio.speakerSetCode && this.audio.speakerGetCode) {
+      const payload = await this._query([this._parseCode(this.audio.speakerGetCode)]);
+      if (payload?.length) this._updateAudio({ external: payload[0] === this._parseCode(this.audio.externalValue) });
+    }
+  }
+
+  /** SICP Audio Parameters Get: [0x43] -> [0x43, Treble, Bass] */
+  async _refreshAudioParameters() {
+    const payload = await this._query([0x43]);
+    if (payload?.length >= 2) this._updateAudio({ treble: clamp(payload[0], 0, 100), bass: clamp(payload[1], 0, 100) });
+  }
+
+  async _refreshBrightness() {
+    if (!this.brightness.getCode || this.brightnessSetter.running) return;
+    const payload = await this._query([this._parseCode(this.brightness.getCode)]);
+    if (!payload?.length) return;
+    this.brightness.current = clamp(payload[0], this.brightness.min, this.brightness.max);
+    if (this.exposeBrightness) {
+      this.backlightService.updateCharacteristic(hap.Characteristic.Brightness, this.brightness.current);
+      this.backlightService.updateCharacteristic(hap.Characteristic.On, this.brightness.current > this.brightness.min);
+    }
+    this._notifyState();
+  }
+
+  /**
+   * Send a get command and return the reply payload, or null if not answered.
+   * Commands the display rejects (NACK/NAV) are not asked again.
+   */
+  async _query(dataBytes) {
+    const key = formatBytes(dataBytes);
+    if (this.unsupportedQueries.has(key)) return null;
+    const parsed = await this._send(dataBytes);
+    if (parsed.type === 'data' && parsed.command === dataBytes[0]) return parsed.payload;
+    if (parsed.nack || parsed.nav) {
+      this.log.debug(`Query ${key} not supported by display (${parsed.type}); not asking again.`);
+      this.unsupportedQueries.add(key);
+    }
+    return null;
+  }
+
+  /** Query a label (model, serial, version...) and decode it as ASCII; null if not supported */
+  async _queryText(dataBytes) {
+    const payload = await this._query(dataBytes);
+    if (!payload) return null;
+    return decodeText(payload);
+  }
+
+  /**
+   * Apply the schedule when its state changes: power on with the entry's settings when a
+   * range starts, standby when it ends. The last applied state is kept in the accessory
+   * context, so after a restart only a transition missed while Homebridge was down is applied,
+   * and manual changes in between are left alone.
+   */
+  async _checkSchedule(now = new Date()) {
+    const slot = scheduleSlotAt(this.schedule, now);
+    const key = slot ? `${slot.index}@${slot.since}` : 'off';
+    if (this.accessory.context.scheduleState === key) return;
+
+    const entry = slot ? this.schedule[slot.index] : null;
+    if (entry?.power) {
+      this.log.info(`${this.name}: schedule entry ${slot.index + 1} started; powering on.`);
+      await this._ensureOn();
+      this.televisionService.updateCharacteristic(hap.Characteristic.Active, this.active);
+      if (entry.input != null) await this._setInputByIdentifier(this._findInputIdentifier(entry.input));
+      if (entry.volume != null) await this.handleSetVolume(entry.volume);
+      if (entry.brightness != null) await this._setBrightness(entry.brightness);
+    } else {
+      this.log.info(`${this.name}: outside scheduled hours; switching to standby.`);
+      await this.handleSetActive(0);
+      this.televisionService.updateCharacteristic(hap.Characteristic.Active, this.active);
+    }
+    this.accessory.context.scheduleState = key;
+  }
+
+  /** Run one schedule check after the previous one finished; failed checks are retried on the next tick */
+  _runSchedule(now) {
+    this.scheduleRun = (this.scheduleRun || Promise.resolve())
+      .then(() => this._checkSchedule(now))
+      .catch(e => this.log.warn(`${this.name}: scheduled change failed:`, e.message));
+    return this.scheduleRun;
+  }
+
+  _startSchedule() {
+    if (!this.schedule.length) return;
+    this._runSchedule();
+    this.scheduleTimer = setInterval(() => this._runSchedule(), 30 * 1000);
+  }
+
+  /** Record transitions into the history file (and Eve), and log yesterday's on-time after midnight */
+  _startHistory() {
+    this._setupEveHistory();
+    if (!this.historyEnabled) return;
+    const dir = path.join(this.platform.api.user.storagePath(), 'philips-dline-history');
+    this.history = new DisplayHistory(dir, this.id, { log: this.log });
+    this.events.on('state', (state) => {
+      const entries = this.history.record(state);
+      if (this.eveHistory && entries.some(e => e.event === 'power')) {
+        this.eveHistory.addEntry({ time: Math.round(Date.now() / 1000), status: state.power ? 1 : 0 });
+      }
+    });
+
+    // While the display is on, mark every 15 min that it was still watched (see DisplayHistory)
+    this.aliveTimer = setInterval(() => {
+      if (this.active === 1) this.history.alive();
+    }, 15 * 60 * 1000);
+    const scheduleSummary = () => {
+      const now = new Date();
+      const next = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1, 0, 1);
+      this.summaryTimer = setTimeout(() => {
+        this._logDailySummary().catch(e => this.log.debug('History summary failed:', e.message));
+        scheduleSummary();
+      }, next - now);
+    };
+    scheduleSummary();
+  }
+
+  /** Log how long the display was on yesterday */
+  async _logDailySummary(now = new Date()) {
+    const [yesterday] = await this.history.summary(2, now);
+    const hours = Math.floor(yesterday.onMinutes / 60);
+    const overnight = yesterday.onAtMidnight ? ' and was still on at midnight' : '';
+    const message = `${this.name}: on for ${hours} h ${yesterday.onMinutes % 60} min on ${yesterday.date}${overnight}.`;
+    if (yesterday.onAtMidnight) this.log.warn(message);
+    else this.log.info(message);
+    return yesterday;
+  }
+
+  /** Eve app history of the power state, through the optional fakegato-history package */
+  _setupEveHistory() {
+    const EVE_HISTORY_UUID = 'E863F007-079E-48FF-8F27-9C2605A29F52';
+    if (!this.eveHistoryEnabled) {
+      const existing = this.accessory.services.find(svc => svc.UUID === EVE_HISTORY_UUID);
+      if (existing) this.accessory.removeService(existing);
+      return;
+    }
+    let FakeGatoHistoryService;
+    try {
+      FakeGatoHistoryService = require('fakegato-history')(this.platform.api);
+    } catch (e) {
+      this.log.warn(`${this.name}: "eveHistory" needs the "fakegato-history" package, which is not installed.`);
+      return;
+    }
+    this.eveHistory = new FakeGatoHistoryService('switch', this.accessory, {
+      storage: 'fs',
+      path: path.join(this.platform.api.user.storagePath(), 'philips-dline-history'),
+      filename: `${this.id}.eve.json`,
+      log: this.log,
+    });
   }
 
   _startPolling() {
-    if (!this.pollInterval || this.pollInterval <= 0) return;
+    if (!this.pollInterval || this.pollInterval <= 0) {
+      // Without polling, identify once so model, serial and SICP features are still known
+      this.identifying = this._identify().catch(e => this.log.debug('Device identification failed:', e.message));
+      return;
+    }
     const loop = async () => {
       try {
-        await delay(this.pollInterval * 1000);
-        await this.handleGetActive().catch(() => { });
+        await this._poll();
       } catch (e) {
         // ignore
       } finally {
-        setImmediate(loop);
+        if (!this.stopped) this.pollTimer = setTimeout(loop, this._pollDelay());
       }
     };
-    loop();
+    // First poll right away so state and device info are known at startup
+    this.pollTimer = setTimeout(loop, 0);
+  }
+}
+
+/**
+ * Accessory controlling several displays as one unit (e.g. a video wall).
+ *
+ * Commands fan out to every member display in parallel. With `broadcast`, they are
+ * instead sent once to a daisy-chained RS232-over-LAN master using the SICP broadcast
+ * monitor ID (or a group ID), and the members' cached state is updated locally.
+ */
+class PhilipsDLineGroupAccessory {
+  constructor(platform, accessory, conf, members) {
+    this.platform = platform;
+    this.accessory = accessory;
+    this.log = platform.log;
+    this.name = conf.name || 'Philips D-Line Group';
+    this.members = members;
+    this.exposeBrightness = conf.exposeBrightness !== false; // default true
+    this.inputs = members[0].inputs;
+
+    this.broadcast = null;
+    if (conf.broadcast?.host) {
+      this.broadcast = {
+        monitorId: conf.broadcast.monitorId ?? 0, // 0 = all displays on the chain
+        includeGroup: conf.broadcast.includeGroup !== false,
+        groupId: conf.broadcast.groupId || 0x00,
+      };
+      this.client = new SicpClient(conf.broadcast.host, conf.broadcast.port || 5000);
+    }
+
+    this._setupServices();
+
+    // Members poll the displays; mirror their aggregate state on the group tiles
+    const interval = Math.min(...members.map(m => m.pollInterval || 10));
+    this.refreshTimer = setInterval(() => this._refresh(), interval * 1000);
+  }
+
+  /** Stop refreshing and close the broadcast connection (called by the platform on shutdown) */
+  close() {
+    clearInterval(this.refreshTimer);
+    this.client?.close();
+  }
+
+  _setupServices() {
+    const Service = hap.Service;
+    const Characteristic = hap.Characteristic;
+
+    this.televisionService = this.accessory.getService(Service.Television)
+      || this.accessory.addService(Service.Television, this.name);
+
+    this.televisionService
+      .setCharacteristic(Characteristic.ConfiguredName, this.name)
+      .setCharacteristic(Characteristic.SleepDiscoveryMode, Characteristic.SleepDiscoveryMode.ALWAYS_DISCOVERABLE);
+
+    this.televisionService.getCharacteristic(Characteristic.Active)
+      .onGet(async () => this._aggregate().active)
+      .onSet(this.handleSetActive.bind(this));
+
+    this.televisionService.getCharacteristic(Characteristic.ActiveIdentifier)
+      .onGet(async () => this._aggregate().activeIdentifier)
+      .onSet(this.handleSetActiveIdentifier.bind(this));
+
+    syncInputSources(this.accessory, this.televisionService, this.inputs);
+
+    this.speakerService = this.accessory.getService(Service.TelevisionSpeaker)
+      || this.accessory.addService(Service.TelevisionSpeaker);
+
+    this.speakerService
+      .setCharacteristic(Characteristic.Active, Characteristic.Active.ACTIVE)
+      .setCharacteristic(Characteristic.VolumeControlType, Characteristic.VolumeControlType.ABSOLUTE);
+
+    this.speakerService.getCharacteristic(Characteristic.Mute)
+      .onGet(async () => this._aggregate().muted)
+      .onSet(this.handleSetMute.bind(this));
+
+    this.speakerService.getCharacteristic(Characteristic.Volume)
+      .onGet(async () => this._aggregate().volume)
+      .onSet(this.handleSetVolume.bind(this));
+
+    this.televisionService.addLinkedService(this.speakerService);
+
+    if (this.exposeBrightness) {
+      this.backlightService = this.accessory.getService('Backlight')
+        || this.accessory.addService(Service.Lightbulb, 'Backlight', 'backlight');
+
+      this.backlightService.getCharacteristic(Characteristic.On)
+        .onGet(async () => this._aggregate().active === 1 && this._aggregate().brightness > 0)
+        .onSet(async (val) => {
+          const state = this._aggregate();
+          if (state.active !== 1) {
+            this.log.info(`${this.name}: Ignoring Backlight request because the group is OFF.`);
+            setTimeout(() => this.backlightService.updateCharacteristic(Characteristic.On, false), 100);
+            return;
+          }
+          if (!val) await this.handleSetBrightness(0);
+          else if (state.brightness <= 0) await this.handleSetBrightness(10);
+        });
+
+      this.backlightService.getCharacteristic(Characteristic.Brightness)
+        .onGet(async () => this._aggregate().brightness)
+        .onSet(async (val) => {
+          if (this._aggregate().active !== 1) {
+            this.log.info(`${this.name}: Ignoring Brightness request because the group is OFF.`);
+            return;
+          }
+          await this.handleSetBrightness(val);
+        });
+    } else {
+      const existing = this.accessory.getService('Backlight');
+      if (existing) this.accessory.removeService(existing);
+    }
+
+    this.accessory.getService(Service.AccessoryInformation)
+      .setCharacteristic(Characteristic.Manufacturer, 'Philips (Signage)')
+      .setCharacteristic(Characteristic.Model, `D-Line group (${this.members.length} displays)`)
+      .setCharacteristic(Characteristic.SerialNumber, `group-${this.name}`);
+  }
+
+  // ---------------- Handlers ----------------
+
+  async handleSetActive(value) {
+    const on = (value === 1 || value === true);
+    await this._run('power', [0x18, on ? 0x02 : 0x01],
+      m => m.handleSetActive(on ? 1 : 0),
+      m => {
+        m.active = on ? 1 : 0;
+        m.televisionService.updateCharacteristic(hap.Characteristic.Active, m.active);
+      });
+    this._refresh();
+  }
+
+  async handleSetActiveIdentifier(identifier) {
+    const code = this.members[0]._codeFromIdentifier(identifier);
+    await this._run('input', code == null ? null : this.members[0]._inputPacket(identifier),
+      async m => {
+        await m._ensureOn();
+        await m._setInputByIdentifier(identifier);
+      },
+      m => m._updateActiveInput(identifier));
+    this._refresh();
+  }
+
+  async handleSetVolume(val) {
+    const lead = this.members[0];
+    const target = clamp(Number(val), lead.volume.min, lead.volume.max);
+    const code = lead.volume.setCode ? lead._parseCode(lead.volume.setCode) : null;
+    await this._run('volume', code == null ? null : (code === 0x44 ? [code, target & 0xFF, 0xFF] : [code, target & 0xFF]),
+      m => m.handleSetVolume(val),
+      m => {
+        m.volume.current = clamp(target, m.volume.min, m.volume.max);
+        m.speakerService.updateCharacteristic(hap.Characteristic.Volume, m.volume.current);
+      });
+    this._refresh();
+  }
+
+  async handleSetMute(val) {
+    const mute = !!val;
+    const lead = this.members[0];
+    const code = lead.volume.muteSetCode ? lead._parseCode(lead.volume.muteSetCode) : null;
+    await this._run('mute', code == null ? null : [code, mute ? 0x01 : 0x00],
+      m => m.handleSetMute(mute),
+      m => {
+        m.volume.muted = mute;
+        m.speakerService.updateCharacteristic(hap.Characteristic.Mute, mute);
+      });
+    this._refresh();
+  }
+
+  async handleSetBrightness(val) {
+    const target = clamp(Number(val), 0, 100);
+    await this._run('brightness', [0x32, target & 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF],
+      m => m._setBrightness(target),
+      m => {
+        m.brightness.current = clamp(target, m.brightness.min, m.brightness.max);
+        if (m.exposeBrightness) {
+          m.backlightService.updateCharacteristic(hap.Characteristic.Brightness, m.brightness.current);
+          m.backlightService.updateCharacteristic(hap.Characteristic.On, m.brightness.current > m.brightness.min);
+        }
+      });
+    this._refresh();
+  }
+
+  // ---------------- Helpers ----------------
+
+  /**
+   * Run one group command: a single broadcast packet when configured (and the command has
+   * a broadcast form), otherwise the member handler on every display in parallel.
+   * Fails with SERVICE_COMMUNICATION_FAILURE only if no member could be reached.
+   */
+  async _run(what, broadcastBytes, perMember, applyLocally) {
+    if (this.broadcast && broadcastBytes) {
+      try {
+        const pkt = buildSicpPacket(this.broadcast.monitorId, broadcastBytes, this.broadcast.includeGroup, this.broadcast.groupId);
+        this.log.debug(`${this.name}: broadcast ${what} TX: ${formatBytes(pkt)}`);
+        const reply = parseReply(await this.client.send(pkt), this.broadcast);
+        if (reply.nack || reply.nav) throw new Error(`Device rejected command (${reply.type}, reply: ${reply.raw})`);
+      } catch (e) {
+        this.log.error(`${this.name}: broadcast ${what} failed:`, e.message);
+        throw new hap.HapStatusError(hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+      }
+      this.members.forEach((m) => {
+        applyLocally(m);
+        m._notifyState(); // history and MQTT see broadcast changes right away
+      });
+      return;
+    }
+
+    const results = await Promise.allSettled(this.members.map(m => perMember(m)));
+    const failed = results
+      .map((r, i) => (r.status === 'rejected' ? `${this.members[i].name} (${r.reason?.message || r.reason})` : null))
+      .filter(Boolean);
+    if (failed.length) {
+      this.log.warn(`${this.name}: ${what} failed on ${failed.length}/${this.members.length} displays: ${failed.join(', ')}`);
+    }
+    if (failed.length === this.members.length) {
+      throw new hap.HapStatusError(hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+    }
+  }
+
+  /** Aggregate member state: on if any member is on; input/mute only if all active members agree */
+  _aggregate() {
+    const on = this.members.filter(m => m.active === 1);
+    const pool = on.length ? on : this.members;
+    const avg = (values) => Math.round(values.reduce((a, b) => a + b, 0) / values.length);
+    const ids = new Set(pool.map(m => m.activeIdentifier));
+    return {
+      active: on.length ? 1 : 0,
+      activeIdentifier: ids.size === 1 ? pool[0].activeIdentifier : (this.lastIdentifier ?? pool[0].activeIdentifier),
+      volume: avg(pool.map(m => m.volume.current)),
+      muted: pool.every(m => m.volume.muted),
+      brightness: avg(pool.map(m => m.brightness.current)),
+    };
+  }
+
+  _refresh() {
+    const Characteristic = hap.Characteristic;
+    const state = this._aggregate();
+    this.lastIdentifier = state.activeIdentifier;
+    this.televisionService.updateCharacteristic(Characteristic.Active, state.active);
+    this.televisionService.updateCharacteristic(Characteristic.ActiveIdentifier, state.activeIdentifier);
+    this.speakerService.updateCharacteristic(Characteristic.Volume, state.volume);
+    this.speakerService.updateCharacteristic(Characteristic.Mute, state.muted);
+    if (this.exposeBrightness) {
+      this.backlightService.updateCharacteristic(Characteristic.Brightness, state.brightness);
+      this.backlightService.updateCharacteristic(Characteristic.On, state.active === 1 && state.brightness > 0);
+    }
+  }
+}
+
+/**
+ * Optional local HTTP/JSON control API, for CMS and monitoring scripts.
+ *
+ * Every request goes through the display's own handlers (and so its SendQueue), and
+ * must carry the configured token as "Authorization: Bearer <token>".
+ *
+ *   GET  /displays                  list displays with their state
+ *   GET  /displays/:id              state of one display
+ *   GET  /displays/:id/history      daily on-time, ?days=7 (needs "history")
+ *   POST /displays/:id/power        { "on": true }
+ *   POST /displays/:id/input        { "identifier": 2 } or { "label": "HDMI 2" }
+ *   POST /displays/:id/volume       { "value": 20 }
+ *   POST /displays/:id/mute         { "muted": true }
+ *   POST /displays/:id/brightness   { "value": 60 }
+ *   POST /displays/:id/raw          { "data": ["0x19"] } -> decoded reply
+ */
+class HttpControlServer {
+  constructor(platform, conf) {
+    this.platform = platform;
+    this.log = platform.log;
+    this.port = conf.port || 8585;
+    this.host = conf.host || '0.0.0.0';
+    this.token = String(conf.token);
+    this.server = http.createServer((req, res) => {
+      this._handle(req, res).catch((e) => {
+        this.log.error('HTTP API error:', e.message);
+        this._reply(res, 500, { error: e.message });
+      });
+    });
+  }
+
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port;
+        this.log.info(`HTTP control API listening on ${this.host}:${this.port}`);
+        resolve(this.port);
+      });
+    });
+  }
+
+  close() {
+    this.server.close();
+  }
+
+  async _handle(req, res) {
+    if (!this._authorized(req)) return this._reply(res, 401, { error: 'Unauthorized' });
+
+    const url = new URL(req.url, 'http://localhost');
+    const [root, id, action, ...rest] = url.pathname.split('/').filter(Boolean);
+    if (root !== 'displays' || rest.length) return this._reply(res, 404, { error: 'Not found' });
+
+    if (!id) {
+      if (req.method !== 'GET') return this._reply(res, 405, { error: 'Method not allowed' });
+      return this._reply(res, 200, this.platform.displays.map(d => d.getState()));
+    }
+
+    const display = this.platform.findDisplay(decodeURIComponent(id));
+    if (!display) return this._reply(res, 404, { error: `Unknown display: ${id}` });
+
+    if (!action) {
+      if (req.method !== 'GET') return this._reply(res, 405, { error: 'Method not allowed' });
+      return this._reply(res, 200, display.getState());
+    }
+    if (action === 'history') {
+      if (req.method !== 'GET') return this._reply(res, 405, { error: 'Method not allowed' });
+      if (!display.history) return this._reply(res, 404, { error: `History is not enabled for ${display.name}` });
+      const days = Number(url.searchParams.get('days') || 7);
+      if (!Number.isInteger(days) || days < 1 || days > 366) return this._reply(res, 400, { error: '"days" must be 1-366' });
+      return this._reply(res, 200, { id: display.id, days: await display.history.summary(days) });
+    }
+    if (req.method !== 'POST') return this._reply(res, 405, { error: 'Method not allowed' });
+
+    let body;
+    try {
+      body = await this._readJson(req);
+    } catch (e) {
+      return this._reply(res, 400, { error: e.message });
+    }
+
+    try {
+      const result = await this._action(display, action, body);
+      if (result === undefined) return this._reply(res, 404, { error: `Unknown action: ${action}` });
+      return this._reply(res, 200, result);
+    } catch (e) {
+      if (e instanceof RangeError || e instanceof TypeError) return this._reply(res, 400, { error: e.message });
+      const message = e instanceof hap.HapStatusError ? 'Display did not respond' : e.message;
+      return this._reply(res, 502, { error: message });
+    }
+  }
+
+  /** Run one action through the accessory's handlers; undefined for unknown actions */
+  async _action(display, action, body) {
+    const number = (key) => {
+      const n = Number(body[key]);
+      if (body[key] == null || Number.isNaN(n)) throw new TypeError(`"${key}" must be a number`);
+      return n;
+    };
+
+    switch (action) {
+      case 'power':
+        if (typeof body.on !== 'boolean') throw new TypeError('"on" must be true or false');
+        await display.handleSetActive(body.on ? 1 : 0);
+        display.televisionService.updateCharacteristic(hap.Characteristic.Active, display.active);
+        return display.getState();
+      case 'input': {
+        const identifier = display._findInputIdentifier(body.label != null ? String(body.label) : number('identifier'));
+        if (identifier == null) throw new RangeError(`Unknown input: ${body.label ?? body.identifier}`);
+        await display.handleSetActiveIdentifier(identifier);
+        return display.getState();
+      }
+      case 'volume':
+        await display.handleSetVolume(number('value'));
+        return display.getState();
+      case 'mute':
+        if (typeof body.muted !== 'boolean') throw new TypeError('"muted" must be true or false');
+        await display.handleSetMute(body.muted);
+        return display.getState();
+      case 'brightness':
+        await display._setBrightness(number('value'));
+        return display.getState();
+      case 'raw': {
+        if (!Array.isArray(body.data) || !body.data.length) throw new TypeError('"data" must be a non-empty array of bytes');
+        const bytes = parseBytes(body.data);
+        const reply = await display._send(bytes);
+        return { type: reply.type, command: reply.command, payload: reply.payload, raw: reply.raw };
+      }
+      default:
+        return undefined;
+    }
+  }
+
+  _authorized(req) {
+    const header = req.headers.authorization || '';
+    const given = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+    const expected = Buffer.from(this.token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  _readJson(req) {
+    return new Promise((resolve, reject) => {
+      let data = '';
+      req.setEncoding('utf8');
+      req.on('data', (chunk) => {
+        data += chunk;
+        if (data.length > 64 * 1024) {
+          reject(new Error('Request body too large'));
+          req.destroy();
+        }
+      });
+      req.on('end', () => {
+        if (!data) return resolve({});
+        try {
+          const body = JSON.parse(data);
+          if (!body || typeof body !== 'object') throw new Error('Body must be a JSON object');
+          resolve(body);
+        } catch (e) {
+          reject(new Error(`Invalid JSON body: ${e.message}`));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  _reply(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+}
+
+/**
+ * Optional MQTT bridge, for Home Assistant, Node-RED and other home automation systems.
+ *
+ * State is published (retained) whenever polling or a handler changes it, commands on
+ * the `set` topics go through the same handlers as HomeKit:
+ *
+ *   <topic>/status                   online / offline (last will)
+ *   <topic>/<id>/state               getState() as JSON
+ *   <topic>/<id>/power|mute          ON / OFF
+ *   <topic>/<id>/input               input label
+ *   <topic>/<id>/volume|brightness   number
+ *   <topic>/<id>/reachable           online / offline
+ *   <topic>/<id>/<field>/set         power, input (label or identifier), volume, mute, brightness
+ */
+class MqttBridge {
+  constructor(platform, conf) {
+    this.platform = platform;
+    this.log = platform.log;
+    this.url = conf.url || 'mqtt://localhost:1883';
+    this.username = conf.username;
+    this.password = conf.password;
+    this.topic = (conf.topic || 'philips-dline').replace(/\/+$/, '');
+    this.discovery = !!conf.homeAssistantDiscovery;
+    this.discoveryPrefix = conf.discoveryPrefix || 'homeassistant';
+    this.displays = [];
+    this.published = new Map(); // topic -> last payload, to skip unchanged retained messages
+    this.client = null;
+  }
+
+  /** Connect to the broker; resolves once connected the first time */
+  connect() {
+    let mqtt;
+    try {
+      // Optional dependency, only loaded when the bridge is enabled
+      mqtt = require('mqtt');
+    } catch (e) {
+      throw new Error('The "mqtt" package is not installed; it is needed for the MQTT bridge.');
+    }
+    this.client = mqtt.connect(this.url, {
+      username: this.username,
+      password: this.password,
+      will: { topic: `${this.topic}/status`, payload: 'offline', retain: true, qos: 1 },
+    });
+    this.client.on('connect', () => {
+      this.log.info(`MQTT bridge connected to ${this.url}`);
+      this.published.clear(); // the broker may have lost retained messages
+      this.client.publish(`${this.topic}/status`, 'online', { retain: true, qos: 1 });
+      this.client.subscribe(`${this.topic}/+/+/set`);
+      for (const display of this.displays) this._announce(display);
+    });
+    this.client.on('message', (topic, payload) => {
+      this._onMessage(topic, payload.toString()).catch(e => this.log.error('MQTT command failed:', e.message));
+    });
+    this.client.on('error', e => this.log.warn('MQTT error:', e.message));
+    return new Promise(resolve => this.client.once('connect', resolve));
+  }
+
+  close() {
+    if (!this.client) return Promise.resolve();
+    if (!this.client.connected) return new Promise(resolve => this.client.end(true, {}, resolve));
+    return new Promise(resolve => {
+      this.client.publish(`${this.topic}/status`, 'offline', { retain: true, qos: 1 }, () => this.client.end(false, {}, resolve));
+    });
+  }
+
+  /** Publish a display's state now and on every change */
+  add(display) {
+    this.displays.push(display);
+    display.events.on('state', state => this._publishState(display, state));
+    if (this.client?.connected) this._announce(display);
+  }
+
+  _announce(display) {
+    if (this.discovery) this._publishDiscovery(display);
+    this._publishState(display, display.getState());
+  }
+
+  _publishState(display, state, force = false) {
+    if (!this.client?.connected) return;
+    const base = `${this.topic}/${display.id}`;
+    const onOff = v => (v ? 'ON' : 'OFF');
+    this._publish(`${base}/state`, JSON.stringify(state), force);
+    this._publish(`${base}/reachable`, state.reachable ? 'online' : 'offline', force);
+    this._publish(`${base}/power`, onOff(state.power), force);
+    this._publish(`${base}/input`, state.inputLabel ?? String(state.input), force);
+    this._publish(`${base}/volume`, String(state.volume), force);
+    this._publish(`${base}/mute`, onOff(state.muted), force);
+    this._publish(`${base}/brightness`, String(state.brightness), force);
+  }
+
+  _publish(topic, payload, force = false) {
+    if (!force && this.published.get(topic) === payload) return;
+    this.published.set(topic, payload);
+    this.client.publish(topic, payload, { retain: true });
+  }
+
+  async _onMessage(topic, payload) {
+    const [id, field] = topic.slice(this.topic.length + 1).split('/');
+    const display = this.displays.find(d => d.id === id);
+    if (!display) return this.log.debug(`MQTT command for unknown display: ${topic}`);
+
+    this.log.debug(`MQTT ${topic}: ${payload}`);
+    try {
+      await this._command(display, field, payload.trim());
+    } catch (e) {
+      this.log.error(`${display.name}: MQTT ${field} command failed:`, e instanceof hap.HapStatusError ? 'display did not respond' : e.message);
+      // Re-publish the real state so the sender's UI doesn't keep the rejected value
+      this._publishState(display, display.getState(), true);
+    }
+  }
+
+  async _command(display, field, payload) {
+    const bool = () => {
+      const v = payload.toLowerCase();
+      if (['on', 'true', '1'].includes(v)) return true;
+      if (['off', 'false', '0'].includes(v)) return false;
+      throw new TypeError(`expected ON or OFF, got "${payload}"`);
+    };
+    const number = () => {
+      const n = Number(payload);
+      if (payload === '' || Number.isNaN(n)) throw new TypeError(`expected a number, got "${payload}"`);
+      return n;
+    };
+
+    switch (field) {
+      case 'power':
+        await display.handleSetActive(bool() ? 1 : 0);
+        display.televisionService.updateCharacteristic(hap.Characteristic.Active, display.active);
+        break;
+      case 'input': {
+        const identifier = display._findInputIdentifier(payload);
+        if (identifier == null) throw new RangeError(`unknown input "${payload}"`);
+        await display.handleSetActiveIdentifier(identifier);
+        break;
+      }
+      case 'volume':
+        await display.handleSetVolume(number());
+        break;
+      case 'mute':
+        await display.handleSetMute(bool());
+        break;
+      case 'brightness':
+        await display._setBrightness(number());
+        break;
+      default:
+        this.log.debug(`Unknown MQTT command topic field: ${field}`);
+    }
+  }
+
+  /** Home Assistant MQTT discovery: one device per display with power, input, volume, mute and brightness */
+  _publishDiscovery(display) {
+    const state = display.getState();
+    const uid = `philips_dline_${(state.serial || display.id).replace(/[^A-Za-z0-9_-]/g, '_')}`;
+    const base = `${this.topic}/${display.id}`;
+    const device = {
+      identifiers: [uid],
+      name: display.name,
+      manufacturer: 'Philips',
+      model: state.model || 'D-Line',
+      sw_version: display.deviceInfo?.firmware || undefined,
+    };
+    const entity = (component, key, config) => {
+      this._publish(`${this.discoveryPrefix}/${component}/${uid}/${key}/config`, JSON.stringify({
+        unique_id: `${uid}_${key}`,
+        device,
+        availability_topic: `${this.topic}/status`,
+        ...config,
+      }));
+    };
+    const control = (key) => ({ state_topic: `${base}/${key}`, command_topic: `${base}/${key}/set` });
+
+    entity('switch', 'power', { name: 'Power', icon: 'mdi:television', ...control('power') });
+    entity('select', 'input', { name: 'Input', options: display.inputs.map(i => i.label).filter(Boolean), ...control('input') });
+    entity('number', 'volume', { name: 'Volume', min: display.volume.min, max: display.volume.max, icon: 'mdi:volume-high', ...control('volume') });
+    entity('switch', 'mute', { name: 'Mute', icon: 'mdi:volume-off', ...control('mute') });
+    if (display.exposeBrightness) {
+      entity('number', 'brightness', { name: 'Brightness', min: display.brightness.min, max: display.brightness.max, icon: 'mdi:brightness-6', ...control('brightness') });
+    }
+    // Reachability isn't used as availability, so the display can still be woken up while it doesn't answer
+    entity('binary_sensor', 'reachable', {
+      name: 'Connected', device_class: 'connectivity', entity_category: 'diagnostic',
+      state_topic: `${base}/reachable`, payload_on: 'online', payload_off: 'offline',
+    });
   }
 }
 
@@ -615,6 +2931,9 @@ class PhilipsDLinePlatform {
     hap = api.hap;
 
     this.accessories = new Map(); // UUID -> accessory
+    this.usedAccessories = new Set(); // UUIDs claimed by a configured or discovered display/group
+    this.serialClients = new Map(); // serial port path -> SicpClient shared by the displays on it
+    this.displays = []; // PhilipsDLineTelevisionAccessory instances
 
     if (!this.config.displays || !Array.isArray(this.config.displays) || this.config.displays.length === 0) {
       this.log.warn('No "displays" configured. Please add at least one display.');
@@ -623,6 +2942,19 @@ class PhilipsDLinePlatform {
     api.on('didFinishLaunching', () => {
       this.discover();
     });
+    // One listener for everything, rather than one per display (twenty panels would trip Node's listener limit)
+    api.on('shutdown', () => this.shutdown());
+  }
+
+  /** Close every connection and stop every timer of the platform, its displays and groups */
+  shutdown() {
+    clearInterval(this.discoveryTimer);
+    this.httpApi?.close();
+    this.mqtt?.close();
+    for (const display of this.displays) display.close();
+    for (const group of this.groups || []) group.close();
+    // fakegato repeats the last state every 10 minutes from one timer shared by all accessories
+    this.api.globalFakeGatoTimer?.stop();
   }
 
   configureAccessory(accessory) {
@@ -631,33 +2963,280 @@ class PhilipsDLinePlatform {
 
   discover() {
     const displays = this.config.displays || [];
+    const targets = new Map(); // host:port:monitorId -> display label, to catch copy-paste duplicates
+    const ids = new Map(); // id -> display label
+    const apiIds = new Map(); // HTTP API / MQTT id -> display label
     displays.forEach(conf => {
-      if (!conf || !conf.host) {
+      // A display skipped for a config error keeps its cached accessory (room, automations) until it's fixed
+      if (conf) this.usedAccessories.add(this._displayUuid(conf));
+      if (!conf || (!conf.host && conf.transport !== 'serial')) {
         this.log.warn('Skipping display without "host" field:', conf);
         return;
       }
-      const uuid = this.api.hap.uuid.generate(`philips-dline:${conf.host}:${conf.name || ''}`);
-      let accessory = this.accessories.get(uuid);
-      if (!accessory) {
-        accessory = new this.api.platformAccessory(conf.name || 'Philips D-Line', uuid);
-        accessory.context.conf = conf;
-        // Fix for icon issue: Set category to TELEVISION
-        accessory.category = this.api.hap.Categories.TELEVISION;
-
-        this.api.registerPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, [accessory]);
-        this.accessories.set(uuid, accessory);
-        this.log.info('Registered new display accessory:', conf.name || conf.host);
-      } else {
-        accessory.context.conf = conf;
-        // Ensure category is updated if it was missing
-        accessory.category = this.api.hap.Categories.TELEVISION;
-        this.log.info('Updated display accessory:', conf.name || conf.host);
+      const label = conf.name || conf.host || conf.path;
+      const errors = validateDisplayConfig(conf);
+      const target = conf.transport === 'serial'
+        ? `serial:${conf.path}:${conf.monitorId ?? 1}`
+        : `${conf.host}:${conf.port || 5000}:${conf.monitorId ?? 1}`;
+      if (targets.has(target)) {
+        errors.push(`same ${conf.transport === 'serial' ? 'serial port' : 'host, port'} and monitor ID as display "${targets.get(target)}"`);
+      }
+      if (conf.id && ids.has(String(conf.id))) errors.push(`same id "${conf.id}" as display "${ids.get(String(conf.id))}"`);
+      else if (apiIds.has(displayId(conf))) {
+        errors.push(`same HTTP API / MQTT id "${displayId(conf)}" as display "${apiIds.get(displayId(conf))}"; give it a different "name" or an "id"`);
+      }
+      if (errors.length) {
+        errors.forEach(e => this.log.error(`Display "${label}": ${e}`));
+        this.log.error(`Display "${label}" is not loaded until its configuration is fixed.`);
+        return;
+      }
+      targets.set(target, label);
+      if (conf.id) ids.set(String(conf.id), label);
+      apiIds.set(displayId(conf), label);
+      const uuid = this._displayUuid(conf);
+      const accessory = this._registerAccessory(uuid, conf.name || 'Philips D-Line', conf, label);
+      this.displays.push(new PhilipsDLineTelevisionAccessory(this, accessory, conf));
+    });
+
+    this.groups = [];
+    (this.config.groups || []).forEach(conf => {
+      if (!conf || !conf.name) {
+        this.log.warn('Skipping group without "name" field:', conf);
+        return;
       }
-      new PhilipsDLineTelevisionAccessory(this, accessory, conf);
+      // Like displays, a group skipped while its members can't be loaded keeps its cached accessory
+      const uuid = this.api.hap.uuid.generate(conf.id ? `philips-dline-group:id:${conf.id}` : `philips-dline-group:${conf.name}`);
+      this.usedAccessories.add(uuid);
+      const names = Array.isArray(conf.members) ? conf.members : [];
+      const members = names
+        .map(n => this.displays.find(d => d.name === n || d.host === n))
+        .filter(Boolean);
+      const missing = names.filter(n => !this.displays.some(d => d.name === n || d.host === n));
+      if (missing.length) this.log.warn(`Group "${conf.name}": unknown member display(s): ${missing.join(', ')}`);
+      if (!members.length) {
+        this.log.warn(`Skipping group "${conf.name}" without any configured member display.`);
+        return;
+      }
+      const accessory = this._registerAccessory(uuid, conf.name, conf, `group ${conf.name}`);
+      this.groups.push(new PhilipsDLineGroupAccessory(this, accessory, conf, members));
     });
+
+    this._removeStaleAccessories();
+
+    if (this.config.httpApi?.enabled) this._startHttpApi();
+    if (this.config.mqtt?.enabled) this._startMqtt();
+
+    if (this.config.discovery?.enabled) {
+      this._runDiscovery();
+      const minutes = this.config.discovery.rescanInterval || 0;
+      if (minutes > 0) this.discoveryTimer = setInterval(() => this._runDiscovery(), minutes * 60 * 1000);
+    }
+  }
+
+  /** Start a discovery scan unless the previous one (up to 4094 hosts) is still running */
+  _runDiscovery() {
+    if (this.scanning) {
+      this.log.debug('Previous discovery scan still running; skipping this one.');
+      return this.discovery;
+    }
+    this.scanning = true;
+    this.discovery = this.discoverNetwork().finally(() => { this.scanning = false; });
+    return this.discovery;
+  }
+
+  /**
+   * Opt-in network discovery: scan the configured CIDR range for SICP displays and register
+   * the ones not configured statically. Accessories are keyed by serial number, so a DHCP
+   * address change updates the existing accessory instead of creating a duplicate.
+   */
+  async discoverNetwork() {
+    const d = this.config.discovery;
+    if (!d.cidr) {
+      this.log.warn('Discovery is enabled but no "cidr" range is configured.');
+      return;
+    }
+    // Discovered displays use the defaults as their configuration, so check them like a static display
+    const errors = validateDisplayConfig({ ...d.defaults, host: d.cidr });
+    if (errors.length) {
+      for (const e of errors) this.log.error(`Discovery defaults: ${e}`);
+      this.log.error('Discovered displays are not loaded until the discovery defaults are fixed.');
+      return;
+    }
+    let found;
+    try {
+      this.log.info(`Scanning ${d.cidr} for SICP displays...`);
+      found = await scanForDisplays(d.cidr, {
+        port: d.port || 5000,
+        monitorId: d.monitorId ?? 1,
+        includeGroup: d.includeGroup !== false,
+        groupId: d.groupId || 0x00,
+        timeoutMs: d.timeoutMs || 500,
+      });
+    } catch (e) {
+      this.log.error('Display discovery failed:', e.message);
+      return;
+    }
+    this.log.info(`Discovery found ${found.length} display(s).`);
+
+    for (const { host, model, serial } of found) {
+      const known = this.displays.find(x => x.serial === serial || x.deviceInfo?.serial === serial);
+      if (known) {
+        if (known.discovered && known.host !== host) known.updateHost(host);
+        continue;
+      }
+      if (this.displays.some(x => x.host === host)) continue; // configured statically
+
+      const uuid = this._displayUuid({ serial });
+      const cached = this.accessories.get(uuid);
+      const conf = {
+        ...d.defaults,
+        // HomeKit only accepts letters, digits, apostrophes and spaces in names (no "/" as in "55BDL4511D/00")
+        name: cached?.context.conf?.name || `${model || 'Philips D-Line'} ${serial.slice(-4)}`.replace(/[^A-Za-z0-9' ]+/g, ' ').trim(),
+        host,
+        port: d.port || 5000,
+        monitorId: d.monitorId ?? 1,
+        includeGroup: d.includeGroup !== false,
+        groupId: d.groupId || 0x00,
+        serial,
+      };
+      let display;
+      try {
+        const accessory = this._registerAccessory(uuid, conf.name, conf, `${conf.name} (discovered at ${host})`);
+        display = new PhilipsDLineTelevisionAccessory(this, accessory, conf);
+      } catch (e) {
+        this.log.error(`Discovered display at ${host} could not be set up:`, e.message);
+        // Don't leave an empty accessory behind in HomeKit
+        if (!cached && this.accessories.has(uuid)) {
+          this.api.unregisterPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, [this.accessories.get(uuid)]);
+          this.accessories.delete(uuid);
+          this.usedAccessories.delete(uuid);
+        }
+        continue;
+      }
+      display.discovered = true;
+      this.displays.push(display);
+      this.mqtt?.add(display);
+    }
+  }
+
+  /**
+   * UUID of a display's accessory, from the first stable key it has: its `id`, its serial
+   * number, or (for configs from before `id` existed) host and name.
+   */
+  _displayUuid(conf) {
+    if (conf.id) return this.api.hap.uuid.generate(`philips-dline:id:${conf.id}`);
+    if (conf.serial) return this.api.hap.uuid.generate(`philips-dline:serial:${conf.serial}`);
+    return this.api.hap.uuid.generate(`philips-dline:${conf.host || conf.path}:${conf.name || ''}`);
+  }
+
+  /**
+   * Unregister cached accessories that no configured display or group uses anymore.
+   * While discovery is enabled, discovered displays (keyed by serial) are kept: they
+   * only come back after the next scan.
+   */
+  _removeStaleAccessories() {
+    const keepDiscovered = !!this.config.discovery?.enabled;
+    const stale = [...this.accessories.values()]
+      .filter(a => !this.usedAccessories.has(a.UUID) && !(keepDiscovered && a.context.conf?.serial));
+    if (!stale.length) return;
+    for (const accessory of stale) {
+      this.log.info('Removing accessory no longer in the configuration:', accessory.displayName);
+      this.accessories.delete(accessory.UUID);
+    }
+    this.api.unregisterPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, stale);
+  }
+
+  /** One client per serial port, shared by the daisy-chained displays on it so their commands don't interleave */
+  serialClient(path, baudRate) {
+    let client = this.serialClients.get(path);
+    if (!client) {
+      client = new SicpClient(null, null, undefined, { transport: new SerialTransport(path, baudRate) });
+      this.serialClients.set(path, client);
+    } else if (client.transport.baudRate !== baudRate) {
+      this.log.warn(`Serial port ${path} is already opened at ${client.transport.baudRate} baud; ignoring baudRate ${baudRate}.`);
+    }
+    return client;
+  }
+
+  /** Find a display by its API id (name slug), name or host */
+  findDisplay(key) {
+    return this.displays.find(d => d.id === key || d.name === key || d.host === key);
+  }
+
+  _startHttpApi() {
+    const conf = this.config.httpApi;
+    if (!conf.token) {
+      this.log.error('HTTP control API is enabled but no "token" is configured; not starting it.');
+      return;
+    }
+    this.httpApi = new HttpControlServer(this, conf);
+    this.httpApi.ready = this.httpApi.listen().catch(e => this.log.error('HTTP control API failed to start:', e.message));
+  }
+
+  _startMqtt() {
+    const bridge = new MqttBridge(this, this.config.mqtt);
+    try {
+      bridge.ready = bridge.connect();
+    } catch (e) {
+      this.log.error('MQTT bridge not started:', e.message);
+      return;
+    }
+    this.mqtt = bridge;
+    for (const display of this.displays) this.mqtt.add(display);
+  }
+
+  /** Return the cached accessory for `uuid`, or create and register a new one */
+  _registerAccessory(uuid, name, conf, label) {
+    this.usedAccessories.add(uuid);
+    let accessory = this.accessories.get(uuid);
+    if (!accessory) {
+      accessory = new this.api.platformAccessory(name, uuid);
+      accessory.context.conf = conf;
+      // Fix for icon issue: Set category to TELEVISION
+      accessory.category = this.api.hap.Categories.TELEVISION;
+
+      this.api.registerPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, [accessory]);
+      this.accessories.set(uuid, accessory);
+      this.log.info('Registered new display accessory:', label);
+    } else {
+      accessory.context.conf = conf;
+      // Ensure category is updated if it was missing
+      accessory.category = this.api.hap.Categories.TELEVISION;
+      this.log.info('Updated display accessory:', label);
+    }
+    return accessory;
   }
 }
 
 module.exports = (api) => {
   api.registerPlatform(PLATFORM_NAME, PhilipsDLinePlatform);
 };
+
+// Internals exposed for the simulator and tests
+Object.assign(module.exports, {
+  PLUGIN_NAME,
+  PLATFORM_NAME,
+  SendQueue,
+  CoalescingSetter,
+  TcpTransport,
+  SerialTransport,
+  SicpClient,
+  sendWakeOnLan,
+  hostsInCidr,
+  scanForDisplays,
+  buildSicpPacket,
+  splitFrames,
+  decodeFrame,
+  parseReply,
+  formatBytes,
+  parseBytes,
+  resolveInput,
+  INPUT_SOURCES,
+  validateDisplayConfig,
+  DisplayHistory,
+  PhilipsDLineTelevisionAccessory,
+  PhilipsDLineGroupAccessory,
+  HttpControlServer,
+  MqttBridge,
+  PhilipsDLinePlatform,
+});
\ No newline at end of file
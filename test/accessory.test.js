@@ -0,0 +1,511 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dgram = require('dgram');
+const { SicpSimulator } = require('../tools/sicp-simulator');
+const { hap, createDisplay, createPlatform } = require('./helpers/homebridge');
+
+const { Characteristic } = hap;
+
+test('PhilipsDLineTelevisionAccessory', async (t) => {
+  let sim;
+  let ctx;
+  t.beforeEach(async () => {
+    sim = new SicpSimulator();
+    await sim.start();
+  });
+  t.afterEach(async () => {
+    ctx?.shutdown();
+    await sim.stop();
+  });
+
+  await t.test('reads power state from the display', async () => {
+    ctx = createDisplay(sim);
+    assert.equal(await ctx.display.handleGetActive(), 1);
+    sim.state.power = 0x01;
+    assert.equal(await ctx.display.handleGetActive(), 0);
+  });
+
+  await t.test('treats repeated corrupted replies as unreachable', async () => {
+    ctx = createDisplay(sim);
+    await ctx.display.identifying;
+    ctx.display.active = 1;
+    sim.inject({ corrupt: true }, { corrupt: true });
+    // A single failure keeps the last known state
+    assert.equal(await ctx.display.handleGetActive(), 1);
+    assert.equal(ctx.display.reachable, true);
+    assert.equal(await ctx.display.handleGetActive(), 0);
+    assert.equal(ctx.display.reachable, false);
+    assert.match(ctx.log.messages.warn.join('\n'), /checksum/);
+  });
+
+  await t.test('treats a connection closed without a reply as a failure', async () => {
+    ctx = createDisplay(sim);
+    await ctx.display.identifying;
+    ctx.display.active = 1;
+    sim.inject({ drop: true });
+    await assert.rejects(ctx.display._command([0x18, 0x01]), /no reply/);
+    sim.inject({ drop: true });
+    assert.equal(await ctx.display.handleGetActive(), 1);
+    assert.equal(ctx.display.failures, 1);
+  });
+
+  await t.test('shows StatusFault while offline and logs each transition once', async () => {
+    ctx = createDisplay(sim, { pollInterval: 10, offlineAfter: 3, maxPollInterval: 60 });
+    const display = ctx.display;
+    const fault = () => display.televisionService.getCharacteristic(Characteristic.StatusFault).value;
+    await sim.stop();
+
+    for (let i = 0; i < 6; i++) await display.handleGetActive();
+    assert.ok(display.failures >= 6);
+    assert.equal(fault(), Characteristic.StatusFault.GENERAL_FAULT);
+    assert.equal(ctx.log.messages.warn.filter(m => /not responding/.test(m)).length, 1);
+    // 10s doubled per failure since going offline, capped at 60s
+    assert.equal(display._pollDelay(), 60 * 1000);
+    display.failures = 3;
+    assert.equal(display._pollDelay(), 20 * 1000);
+
+    await sim.start(sim.port);
+    assert.equal(await display.handleGetActive(), 1);
+    assert.equal(fault(), Characteristic.StatusFault.NO_FAULT);
+    assert.equal(display._pollDelay(), 10 * 1000);
+    assert.match(ctx.log.messages.info.join('\n'), /Test TV: responding again/);
+  });
+
+  await t.test('powers the display on and off', async () => {
+    ctx = createDisplay(sim);
+    await ctx.display.handleSetActive(0);
+    assert.equal(sim.state.power, 0x01);
+    await ctx.display.handleSetActive(1);
+    assert.equal(sim.state.power, 0x02);
+    assert.equal(ctx.display.active, 1);
+  });
+
+  await t.test('reverts Active when the display rejects power', async () => {
+    ctx = createDisplay(sim);
+    await ctx.display.identifying;
+    ctx.display.active = 1;
+    sim.inject({ reply: 'nack' });
+    await assert.rejects(ctx.display.handleSetActive(0), /rejected/);
+    assert.equal(sim.state.power, 0x02);
+    assert.equal(ctx.display.televisionService.getCharacteristic(Characteristic.Active).value, 1);
+  });
+
+  await t.test('switches input and updates ActiveIdentifier', async () => {
+    ctx = createDisplay(sim);
+    ctx.display.active = 1;
+    await ctx.display.handleSetActiveIdentifier(2);
+    assert.equal(sim.state.input, 0x06);
+    assert.equal(ctx.display.activeIdentifier, 2);
+    assert.equal(ctx.display.televisionService.getCharacteristic(Characteristic.ActiveIdentifier).value, 2);
+  });
+
+  await t.test('retries an input change once after NAV', async () => {
+    ctx = createDisplay(sim);
+    await ctx.display.identifying;
+    ctx.display.active = 1;
+    sim.inject({ reply: 'nav' });
+    await ctx.display.handleSetActiveIdentifier(3);
+    assert.equal(sim.state.input, 0x0F);
+  });
+
+  await t.test('reports a communication failure when the input change keeps failing', async () => {
+    ctx = createDisplay(sim);
+    await ctx.display.identifying;
+    ctx.display.active = 1;
+    sim.inject({ reply: 'nav' }, { reply: 'nav' });
+    await assert.rejects(ctx.display.handleSetActiveIdentifier(3), hap.HapStatusError);
+    assert.equal(sim.state.input, 0x0D);
+  });
+
+  await t.test('sets absolute volume and mute', async () => {
+    ctx = createDisplay(sim, { volume: { setCode: '0x44', muteSetCode: '0x47' } });
+    ctx.display.active = 1;
+    await ctx.display.handleSetVolume(42);
+    assert.equal(sim.state.volume, 42);
+    assert.equal(sim.state.audioOutVolume, 15); // 0xFF = no change
+    await ctx.display.handleSetMute(true);
+    assert.equal(sim.state.mute, true);
+  });
+
+  await t.test('uses input types, hidden inputs and launch payloads from the source catalogue', async () => {
+    const inputs = [
+      { source: 'hdmi1', identifier: 1 },
+      { source: 'mediaplayer', label: 'Menu board', identifier: 2, launch: '0x02 0x01 0x00' },
+      { label: 'DP', code: '0x0A', identifier: 3, hidden: true },
+    ];
+    ctx = createDisplay(sim, { inputs });
+    const { InputSourceType, CurrentVisibilityState, TargetVisibilityState } = Characteristic;
+    const service = id => ctx.platform.displays[0].accessory.getServiceById(hap.Service.InputSource, 'input-' + id);
+    assert.equal(service(1).getCharacteristic(Characteristic.ConfiguredName).value, 'HDMI 1');
+    assert.equal(service(1).getCharacteristic(InputSourceType).value, InputSourceType.HDMI);
+    assert.equal(service(2).getCharacteristic(InputSourceType).value, InputSourceType.APPLICATION);
+    assert.equal(service(3).getCharacteristic(CurrentVisibilityState).value, CurrentVisibilityState.HIDDEN);
+
+    ctx.display.active = 1;
+    await ctx.display.handleSetActiveIdentifier(2);
+    assert.deepEqual(sim.received.find(d => d[0] === 0xAC), [0xAC, 0x16, 0x02, 0x01, 0x00]);
+    assert.equal(sim.state.input, 0x16);
+
+    // Visibility changed in the Home app survives a restart
+    await service(3).getCharacteristic(TargetVisibilityState).handleSetRequest(TargetVisibilityState.SHOWN);
+    assert.equal(service(3).getCharacteristic(CurrentVisibilityState).value, CurrentVisibilityState.SHOWN);
+    const accessory = ctx.display.accessory;
+    ctx.shutdown();
+    ctx = createPlatform({ displays: [{ name: 'Test TV', host: '127.0.0.1', port: sim.port, pollInterval: 0, inputs }] }, [accessory]);
+    assert.equal(service(3).getCharacteristic(CurrentVisibilityState).value, CurrentVisibilityState.SHOWN);
+  });
+
+  await t.test('only sends the latest of rapid volume changes', async () => {
+    ctx = createDisplay(sim, { volume: { setCode: '0x44' } });
+    ctx.display.active = 1;
+    await Promise.all([10, 11, 12, 13, 14].map(v => ctx.display.handleSetVolume(v)));
+    assert.deepEqual(sim.received.filter(d => d[0] === 0x44).map(d => d[1]), [10, 14]);
+    assert.equal(ctx.display.volume.current, 14);
+  });
+
+  await t.test('redirects a relative volume step loop to a newer target', async () => {
+    await sim.stop();
+    sim = new SicpSimulator({ volumeUpCode: 0xF1, volumeDownCode: 0xF2, state: { volume: 15 } });
+    await sim.start();
+    ctx = createDisplay(sim, { volume: { upCode: '0xF1', downCode: '0xF2', stepDelayMs: 20, getCode: '' } });
+    ctx.display.active = 1;
+    const first = ctx.display.handleSetVolume(40);
+    await new Promise(res => setTimeout(res, 100));
+    await Promise.all([first, ctx.display.handleSetVolume(18), ctx.display.handleSetVolume(17)]);
+    assert.equal(sim.state.volume, 17);
+    assert.equal(ctx.display.volume.current, 17);
+    // Stepped up only until the new target arrived, then straight back down
+    const steps = sim.received.filter(d => d[0] === 0xF1 || d[0] === 0xF2).length;
+    assert.ok(steps < 15, `${steps} steps`);
+    assert.equal(ctx.display.speakerService.getCharacteristic(Characteristic.Volume).value, 17);
+  });
+
+  await t.test('controls audio out, treble/bass and speaker selection', async () => {
+    await sim.stop();
+    sim = new SicpSimulator({ speakerSetCode: 0xF3, speakerGetCode: 0xF4 });
+    await sim.start();
+    ctx = createDisplay(sim, {
+      audio: { audioOut: true, trebleBass: true, speakerSetCode: '0xF3', speakerGetCode: '0xF4' },
+    });
+    const display = ctx.display;
+    const audioOut = display.accessory.getServiceById(hap.Service.Fan, 'audio-out');
+    const bass = display.accessory.getServiceById(hap.Service.Fan, 'bass');
+    const treble = display.accessory.getServiceById(hap.Service.Fan, 'treble');
+    display.active = 1;
+    // Neutral until read back, and nothing to restore yet
+    assert.equal(await treble.getCharacteristic(Characteristic.RotationSpeed).handleGetRequest(), 50);
+    await treble.getCharacteristic(Characteristic.On).handleSetRequest(true);
+    assert.equal(sim.received.some(d => d[0] === 0x42), false);
+
+    await audioOut.getCharacteristic(Characteristic.RotationSpeed).handleSetRequest(35);
+    assert.deepEqual([sim.state.volume, sim.state.audioOutVolume], [15, 35]);
+    await audioOut.getCharacteristic(Characteristic.On).handleSetRequest(false);
+    assert.equal(sim.state.audioOutVolume, 0);
+    await audioOut.getCharacteristic(Characteristic.On).handleSetRequest(true);
+    assert.equal(sim.state.audioOutVolume, 35);
+
+    await Promise.all([display.setAudioParameter('treble', 60), display.setAudioParameter('bass', 30)]);
+    assert.deepEqual([sim.state.treble, sim.state.bass], [60, 30]);
+    // Off means neutral for treble/bass; switching back on restores the last level
+    await bass.getCharacteristic(Characteristic.On).handleSetRequest(false);
+    assert.equal(sim.state.bass, 50);
+    assert.equal(bass.getCharacteristic(Characteristic.On).value, false);
+    assert.equal(await bass.getCharacteristic(Characteristic.On).handleGetRequest(), false);
+    await bass.getCharacteristic(Characteristic.On).handleSetRequest(true);
+    assert.equal(sim.state.bass, 30);
+    assert.equal(bass.getCharacteristic(Characteristic.On).value, true);
+    await display.setExternalSpeakers(true);
+    assert.equal(sim.state.speakers, 0x01);
+
+    // Changes made on the display show up after the next poll
+    Object.assign(sim.state, { audioOutVolume: 20, bass: 45, speakers: 0x00 });
+    await display._poll();
+    assert.equal(audioOut.getCharacteristic(Characteristic.RotationSpeed).value, 20);
+    assert.equal(bass.getCharacteristic(Characteristic.RotationSpeed).value, 45);
+    assert.equal(display.speakerSwitchService.getCharacteristic(Characteristic.On).value, false);
+  });
+
+  await t.test('toggles mute only when the state differs', async () => {
+    ctx = createDisplay(sim, { volume: { muteToggleCode: '0x48' } });
+    ctx.display.active = 1;
+    await ctx.display.handleSetMute(true);
+    await ctx.display.handleSetMute(true);
+    assert.equal(sim.state.mute, true);
+  });
+
+  await t.test('sets brightness through video parameters by default', async () => {
+    ctx = createDisplay(sim);
+    ctx.display.active = 1;
+    await ctx.display._setBrightness(80);
+    assert.deepEqual(sim.state.video, [80, 50, 50, 50, 50, 50, 0x01]);
+    assert.equal(ctx.display.backlightService.getCharacteristic(Characteristic.Brightness).value, 80);
+  });
+
+  await t.test('turns the display on before changing volume', async () => {
+    sim.state.power = 0x01;
+    ctx = createDisplay(sim, { volume: { setCode: '0x44' } });
+    await ctx.display.handleSetVolume(20);
+    assert.equal(sim.state.power, 0x02);
+    assert.equal(sim.state.volume, 20);
+  });
+
+  await t.test('polling reads back volume, mute and brightness', async () => {
+    ctx = createDisplay(sim, { volume: { muteGetCode: '0x49', max: 60 } });
+    sim.state.volume = 33;
+    sim.state.mute = true;
+    sim.state.video[0] = 70;
+    await ctx.display._poll();
+    const { speakerService, backlightService } = ctx.display;
+    assert.equal(speakerService.getCharacteristic(Characteristic.Volume).value, 33);
+    assert.equal(speakerService.getCharacteristic(Characteristic.Mute).value, true);
+    assert.equal(backlightService.getCharacteristic(Characteristic.Brightness).value, 70);
+    assert.equal(ctx.display.volume.current, 33);
+  });
+
+  await t.test('polling skips audio/video queries while off and stops asking after NAV', async () => {
+    ctx = createDisplay(sim, { volume: { muteGetCode: '0x50' } });
+    sim.state.power = 0x01;
+    await ctx.display._poll();
+    assert.ok(!sim.received.some(d => [0xAD, 0x45, 0x33, 0x50].includes(d[0])));
+
+    sim.state.power = 0x02;
+    await ctx.display._poll();
+    await ctx.display._poll();
+    assert.equal(sim.received.filter(d => d[0] === 0x50).length, 1);
+    assert.equal(sim.received.filter(d => d[0] === 0x45).length, 2);
+  });
+
+  await t.test('polling syncs inputs changed outside HomeKit', async () => {
+    ctx = createDisplay(sim, { exposeInputSwitches: true });
+    sim.state.input = 0x0F;
+    await ctx.display._poll();
+    assert.equal(ctx.display.activeIdentifier, 3);
+    assert.equal(ctx.display.televisionService.getCharacteristic(Characteristic.ActiveIdentifier).value, 3);
+    assert.equal(ctx.display.accessory.getService('HDMI 3 Switch').getCharacteristic(Characteristic.On).value, true);
+    assert.equal(ctx.display.accessory.getService('HDMI 1 Switch').getCharacteristic(Characteristic.On).value, false);
+  });
+
+  await t.test('warns once about unconfigured source codes', async () => {
+    ctx = createDisplay(sim);
+    sim.state.input = 0x20;
+    await ctx.display._poll();
+    await ctx.display._poll();
+    assert.equal(ctx.log.messages.warn.filter(m => /0x20/.test(m)).length, 1);
+    assert.equal(ctx.display.activeIdentifier, 1);
+  });
+
+  await t.test('maps RemoteKey and PowerModeSelection to remote-control simulation', async () => {
+    ctx = createDisplay(sim, { remoteKeys: { keys: { SELECT: '0x30', BACK: '' } } });
+    const tv = ctx.display.televisionService;
+    await tv.getCharacteristic(Characteristic.RemoteKey).handleSetRequest(Characteristic.RemoteKey.ARROW_UP);
+    await tv.getCharacteristic(Characteristic.RemoteKey).handleSetRequest(Characteristic.RemoteKey.SELECT);
+    await tv.getCharacteristic(Characteristic.RemoteKey).handleSetRequest(Characteristic.RemoteKey.BACK);
+    await tv.getCharacteristic(Characteristic.PowerModeSelection).handleSetRequest(Characteristic.PowerModeSelection.SHOW);
+    assert.deepEqual(sim.state.remoteKeys, [0x58, 0x30, 0x54]);
+  });
+
+  await t.test('applies video presets and keeps their switches exclusive', async () => {
+    ctx = createDisplay(sim, {
+      pictureStyleCode: '0x3A',
+      videoPresets: [
+        { name: 'Day', brightness: 90, contrast: 60 },
+        { name: 'Night', brightness: 20, gamma: '0x02' },
+      ],
+    });
+    ctx.display.active = 1;
+    const day = ctx.display.accessory.getServiceById(hap.Service.Switch, 'preset-Day');
+    const night = ctx.display.accessory.getServiceById(hap.Service.Switch, 'preset-Night');
+
+    await day.getCharacteristic(Characteristic.On).handleSetRequest(true);
+    assert.deepEqual(sim.state.video, [90, 50, 60, 50, 50, 50, 0x01]);
+    await night.getCharacteristic(Characteristic.On).handleSetRequest(true);
+    assert.deepEqual(sim.state.video, [20, 50, 60, 50, 50, 50, 0x02]);
+
+    assert.equal(day.getCharacteristic(Characteristic.On).value, false);
+    assert.equal(night.getCharacteristic(Characteristic.On).value, true);
+    assert.equal(ctx.display.backlightService.getCharacteristic(Characteristic.Brightness).value, 20);
+    assert.equal(ctx.display.accessory.context.activePreset, 'Night');
+  });
+
+  await t.test('waits for the display to boot before sending commands', async () => {
+    await sim.stop();
+    sim = new SicpSimulator({ bootMs: 1200, state: { power: 0x01 } });
+    await sim.start();
+    ctx = createDisplay(sim, { volume: { setCode: '0x44' } });
+    await Promise.all([
+      ctx.display.handleSetVolume(25),
+      ctx.display.handleSetActiveIdentifier(2),
+    ]);
+    assert.equal(sim.state.volume, 25);
+    assert.equal(sim.state.input, 0x06);
+    assert.equal(sim.received.filter(d => d[0] === 0x18).length, 1);
+    assert.ok(sim.received.filter(d => d[0] === 0x19).length > 1);
+  });
+
+  await t.test('reports a communication failure when the display never comes up', async () => {
+    await sim.stop();
+    sim = new SicpSimulator({ bootMs: 5000, state: { power: 0x01 } });
+    await sim.start();
+    ctx = createDisplay(sim, { volume: { setCode: '0x44' }, powerOnTimeout: 1 });
+    await assert.rejects(ctx.display.handleSetVolume(25), hap.HapStatusError);
+    assert.equal(sim.state.volume, 15);
+  });
+
+  await t.test('wakes a sleeping display with Wake-on-LAN before powering on', async () => {
+    const port = sim.port;
+    await sim.stop(); // network stack asleep
+    sim.state.power = 0x01;
+
+    const udp = dgram.createSocket('udp4');
+    await new Promise(res => udp.bind(0, '127.0.0.1', res));
+    t.after(() => udp.close());
+    const magic = new Promise(res => udp.once('message', async (msg) => {
+      await sim.start(port);
+      res(msg);
+    }));
+
+    ctx = createDisplay(sim, { mac: '00:11:22:aa:bb:cc', wolAddress: '127.0.0.1', wolPort: udp.address().port });
+    await ctx.display.handleSetActive(1);
+    const msg = await magic;
+    assert.equal(msg.length, 102);
+    assert.deepEqual([...msg.subarray(0, 6)], [0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);
+    assert.equal(msg.subarray(6, 12).toString('hex'), '001122aabbcc');
+    assert.equal(sim.state.power, 0x02);
+  });
+
+  await t.test('applies the standby power mode at the first contact until it succeeds', async () => {
+    sim.state.power = 0x01;
+    ctx = createDisplay(sim, { standbyMode: 'mode3' });
+    sim.inject({}, { drop: true }); // the first write isn't answered
+    await ctx.display.identifying;
+    await ctx.display.applyingSettings;
+    assert.equal(sim.state.powerSaveMode, 0x06);
+    assert.equal(sim.received.filter(d => d[0] === 0xD2).length, 2);
+    await ctx.display._poll();
+    assert.equal(sim.received.filter(d => d[0] === 0xD2).length, 2);
+  });
+
+  await t.test('identifies the display and fills AccessoryInformation', async () => {
+    ctx = createDisplay(sim);
+    // Identified at startup even though polling is disabled
+    await ctx.display.identifying;
+    assert.equal(ctx.display.identified, true);
+    const info = ctx.display.accessory.getService(hap.Service.AccessoryInformation);
+    assert.equal(info.getCharacteristic(Characteristic.Model).value, '55BDL4511D/00');
+    assert.equal(info.getCharacteristic(Characteristic.SerialNumber).value, 'AU1A1234567890');
+    assert.equal(info.getCharacteristic(Characteristic.FirmwareRevision).value, '01.03.05');
+    assert.equal(ctx.display.accessory.context.deviceInfo.platformLabel, 'Android');
+    assert.equal(ctx.display.features.noChangeBytes, true);
+  });
+
+  await t.test('re-sends current values to SICP versions without no-change bytes', async () => {
+    await sim.stop();
+    sim = new SicpSimulator({ identity: { sicpVersion: '2.03' } });
+    await sim.start();
+    ctx = createDisplay(sim, { volume: { setCode: '0x44' } });
+    await ctx.display._poll();
+    assert.equal(ctx.display.features.noChangeBytes, false);
+
+    sim.state.audioOutVolume = 40;
+    await ctx.display.handleSetVolume(30);
+    assert.deepEqual(sim.received.at(-1), [0x44, 30, 40]);
+    await ctx.display._setBrightness(70);
+    assert.deepEqual(sim.received.at(-1), [0x32, 70, 50, 50, 50, 50, 50, 0x01]);
+  });
+
+  await t.test('reports temperature and trips the health sensor', async () => {
+    ctx = createDisplay(sim, { exposeTemperature: true, exposeHealthSensor: true, temperatureThreshold: 50 });
+    const temp = ctx.display.temperatureService;
+    const health = ctx.display.healthService;
+
+    await ctx.display._poll();
+    assert.equal(temp.getCharacteristic(Characteristic.CurrentTemperature).value, 41);
+    assert.equal(temp.getCharacteristic(Characteristic.StatusFault).value, Characteristic.StatusFault.NO_FAULT);
+    assert.equal(health.getCharacteristic(Characteristic.ContactSensorState).value, Characteristic.ContactSensorState.CONTACT_DETECTED);
+    assert.equal(ctx.display.temperature.operatingHours, 1234);
+
+    sim.state.temperatures = [38, 55];
+    await ctx.display._poll();
+    assert.equal(temp.getCharacteristic(Characteristic.StatusFault).value, Characteristic.StatusFault.GENERAL_FAULT);
+    assert.equal(health.getCharacteristic(Characteristic.ContactSensorState).value, Characteristic.ContactSensorState.CONTACT_NOT_DETECTED);
+    assert.match(ctx.log.messages.warn.join('\n'), /55 °C is above 50 °C/);
+
+    sim.state.temperatures = [38, 40];
+    await ctx.display._poll();
+    assert.equal(health.getCharacteristic(Characteristic.ContactSensorState).value, Characteristic.ContactSensorState.CONTACT_DETECTED);
+    await sim.stop();
+    await ctx.display._poll();
+    await ctx.display._poll();
+    assert.equal(health.getCharacteristic(Characteristic.ContactSensorState).value, Characteristic.ContactSensorState.CONTACT_NOT_DETECTED);
+  });
+
+  await t.test('follows the schedule and leaves manual changes alone until the next transition', async () => {
+    const schedule = [
+      { days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '09:00', end: '18:00', input: 'HDMI 2', volume: 20 },
+      { days: ['sat'], start: '22:00', end: '02:00' },
+      { days: ['sun'], start: 'noon', end: '14:00' },
+    ];
+    ctx = createDisplay(sim, { schedule, volume: { setCode: '0x44' } });
+    const d = ctx.display;
+    assert.equal(d.schedule.length, 2);
+    assert.match(ctx.log.messages.warn.join('\n'), /schedule entry 3: "start" must be a time/);
+
+    sim.state.power = 0x01;
+    await d._runSchedule(new Date(2030, 0, 7, 9, 0)); // Monday
+    assert.deepEqual([sim.state.power, sim.state.input, sim.state.volume], [0x02, 0x06, 20]);
+    assert.equal(d.televisionService.getCharacteristic(Characteristic.Active).value, 1);
+
+    sim.state.input = 0x0D; // changed by hand
+    await d._runSchedule(new Date(2030, 0, 7, 12, 0));
+    assert.equal(sim.state.input, 0x0D);
+
+    await d._runSchedule(new Date(2030, 0, 7, 18, 0));
+    assert.equal(sim.state.power, 0x01);
+    assert.equal(d.accessory.context.scheduleState, 'off');
+
+    // Overnight range, still on after midnight
+    await d._runSchedule(new Date(2030, 0, 12, 23, 0)); // Saturday
+    await d._runSchedule(new Date(2030, 0, 13, 1, 0));
+    assert.equal(sim.state.power, 0x02);
+    assert.equal(d.accessory.context.scheduleState, '1@2030-01-12');
+    await d._runSchedule(new Date(2030, 0, 13, 2, 0));
+    assert.equal(sim.state.power, 0x01);
+  });
+
+  await t.test('programs the schedule into the display timers', async () => {
+    const schedule = [{ days: ['mon', 'sun'], start: '08:30', end: '19:15', input: 'HDMI 2' }];
+    ctx = createDisplay(sim, { schedule, scheduleTimers: true });
+    await ctx.display.scheduleRun; // startup check against the real clock
+    // Programmed at the first contact, without polling
+    await ctx.display.identifying;
+    await ctx.display.applyingSettings;
+    assert.equal(ctx.display.scheduleTimersApplied, true);
+    assert.deepEqual(sim.state.schedules[1], [8, 30, 19, 15, 0x06, 0b10000011, 0x00]);
+  });
+
+  await t.test('custom commands send their bytes and read back their state', async () => {
+    ctx = createDisplay(sim, {
+      customCommands: [
+        { name: 'Keypad Lock', on: ['0x1C', '0x02'], off: '0x1C 0x01', query: ['0x1D'], onReply: ['0x02'] },
+        { name: 'Auto Adjust', on: ['0x70'] },
+      ],
+    });
+    const lock = ctx.display.accessory.getServiceById(hap.Service.Switch, 'custom-Keypad Lock');
+    const button = ctx.display.accessory.getServiceById(hap.Service.Switch, 'custom-Auto Adjust');
+
+    await lock.getCharacteristic(Characteristic.On).handleSetRequest(true);
+    assert.equal(sim.state.lock, 0x02);
+    await lock.getCharacteristic(Characteristic.On).handleSetRequest(false);
+    assert.equal(sim.state.lock, 0x01);
+
+    sim.state.lock = 0x02; // locked from the display's menu
+    await ctx.display._poll();
+    assert.equal(lock.getCharacteristic(Characteristic.On).value, true);
+
+    // Stateless button; the simulator doesn't know 0x70, so the switch reports a failure
+    await assert.rejects(button.getCharacteristic(Characteristic.On).handleSetRequest(true));
+    assert.deepEqual(sim.received.at(-1), [0x70]);
+  });
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SicpClient, buildSicpPacket, parseReply } = require('..');
+const { SicpSimulator } = require('../tools/sicp-simulator');
+
+const getPower = buildSicpPacket(1, [0x19]);
+
+test('SicpClient', async (t) => {
+  const sim = new SicpSimulator();
+  const port = await sim.start();
+  t.after(() => sim.stop());
+  t.beforeEach(() => { sim.faults = []; });
+
+  await t.test('one connection per packet by default', async () => {
+    const client = new SicpClient('127.0.0.1', port, 500);
+    const before = sim.connections;
+    const reply = parseReply(await client.send(getPower), {}, 0x19);
+    assert.deepEqual(reply.payload, [0x02]);
+    await client.send(getPower);
+    assert.equal(sim.connections - before, 2);
+  });
+
+  await t.test('persistent mode reuses one socket', async () => {
+    const client = new SicpClient('127.0.0.1', port, 500, { persistent: true });
+    const before = sim.connections;
+    for (let i = 0; i < 3; i++) {
+      assert.equal(parseReply(await client.send(getPower), {}, 0x19).command, 0x19);
+    }
+    assert.equal(sim.connections - before, 1);
+    client.close();
+  });
+
+  await t.test('persistent mode reassembles split frames', async () => {
+    const client = new SicpClient('127.0.0.1', port, 500, { persistent: true });
+    sim.inject({ split: true });
+    const reply = await client.send(getPower);
+    assert.deepEqual([...reply], [...buildSicpPacket(1, [0x19, 0x02])]);
+    client.close();
+  });
+
+  await t.test('persistent mode keeps replies in order through the queue', async () => {
+    const client = new SicpClient('127.0.0.1', port, 500, { persistent: true });
+    const [a, b] = await Promise.all([
+      client.send(buildSicpPacket(1, [0x19])),
+      client.send(buildSicpPacket(1, [0xAD])),
+    ]);
+    assert.equal(parseReply(a, {}, 0x19).command, 0x19);
+    assert.equal(parseReply(b, {}, 0xAD).command, 0xAD);
+    client.close();
+  });
+
+  await t.test('persistent mode reconnects after a dropped connection', async () => {
+    const client = new SicpClient('127.0.0.1', port, 500, { persistent: true, reconnectMinMs: 50 });
+    await client.send(getPower);
+    sim.inject({ drop: true });
+    await assert.rejects(client.send(getPower), /closed/);
+    const reply = await client.send(getPower);
+    assert.equal(parseReply(reply, {}, 0x19).command, 0x19);
+    client.close();
+  });
+
+  await t.test('times out when the display does not answer', async () => {
+    const client = new SicpClient('127.0.0.1', port, 100, { persistent: true, reconnectMinMs: 10 });
+    sim.inject({ delayMs: 300 });
+    await assert.rejects(client.send(getPower), /timeout/);
+    client.close();
+  });
+
+  await t.test('persistent mode backs off between failed connects', async () => {
+    const client = new SicpClient('127.0.0.1', 1, 200, { persistent: true, reconnectMinMs: 100 });
+    await assert.rejects(client.send(getPower));
+    const start = Date.now();
+    await assert.rejects(client.send(getPower));
+    assert.ok(Date.now() - start >= 90);
+    assert.equal(client.backoffMs, 200);
+  });
+});
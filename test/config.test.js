@@ -0,0 +1,84 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateDisplayConfig } = require('..');
+const { createPlatform } = require('./helpers/homebridge');
+
+test('validateDisplayConfig accepts a complete config', () => {
+  assert.deepEqual(validateDisplayConfig({
+    host: '192.168.1.50',
+    volume: { setCode: '0x44', muteSetCode: 71, min: 0, max: 60, initial: 20 },
+    brightness: { upCode: '0x10', downCode: '0x11', getCode: '' },
+    inputs: [{ label: 'HDMI 1', code: '0x0D', identifier: 1 }, { label: 'HDMI 2', code: 6 }, { source: 'mediaplayer', launch: '0x02 0x01 0x00', hidden: true }],
+    remoteKeys: { keys: { MENU: '0x54', EXIT: '' } },
+  }), []);
+});
+
+test('validateDisplayConfig reports bad codes, ranges and duplicate identifiers', () => {
+  const errors = validateDisplayConfig({
+    host: '192.168.1.50',
+    volume: { setCode: '0xZZ', upCode: '300' },
+    brightness: { min: 50, max: 10 },
+    inputs: [
+      { label: 'HDMI 1', code: '0x0D', identifier: 1 },
+      { label: 'DP', code: '0x0A', identifier: 1 },
+      { label: 'VGA' },
+      { source: 'hdmi5', type: 'tv', launch: '0x01 0x100' },
+    ],
+    remoteKeys: { keys: { MENU: 'menu' } },
+    customCommands: [
+      { name: 'Lock', on: '0x1C 0x02', query: '0x1D' },
+      { name: 'Lock', on: ['0x1FF'] },
+      { off: '0x70' },
+    ],
+  });
+  assert.deepEqual(errors, [
+    'volume.setCode: "0xZZ" is not a valid code (use 0x00-0xFF or 0-255)',
+    'volume.upCode: "300" is not a valid code (use 0x00-0xFF or 0-255)',
+    'brightness: "min" must be a number below "max"',
+    'remoteKeys.keys.MENU: "menu" is not a valid code (use 0x00-0xFF or 0-255)',
+    'custom command "Lock": "query" needs "onReply" to tell the state',
+    'custom commands: the name "Lock" is used twice',
+    'custom command "Lock": on: Invalid byte: 0x1FF',
+    'custom command "#3": "name" is required',
+    'custom command "#3": "on" is required',
+    'inputs "HDMI 1" and "DP" have the same identifier 1',
+    'input "VGA": "code" or "source" is required',
+    'input "hdmi5": unknown source "hdmi5" (use one of video, svideo, component, vga, hdmi2, displayport2, usb2, carddvi, displayport1, ops, usb1, hdmi1, dvi, hdmi3, browser, cms, dms, storage, mediaplayer, pdfplayer, custom, hdmi4)',
+    'input "hdmi5": unknown type "tv" (use one of other, home_screen, tuner, hdmi, composite_video, s_video, component_video, dvi, airplay, usb, application)',
+    'input "hdmi5": launch: Invalid byte: 0x100',
+  ]);
+});
+
+test('validateDisplayConfig checks the Wake-on-LAN MAC address', () => {
+  assert.deepEqual(validateDisplayConfig({ host: '192.168.1.50', mac: '00:11:22:aa:BB:cc' }), []);
+  assert.deepEqual(validateDisplayConfig({ host: '192.168.1.50', mac: '0011.22aa.bbcc' }), []);
+  assert.deepEqual(validateDisplayConfig({ host: '192.168.1.50', mac: '00:11:22:33:44' }), [
+    'mac: "00:11:22:33:44" is not a valid MAC address (12 hex digits, e.g. 00:11:22:33:44:55)',
+  ]);
+  assert.equal(validateDisplayConfig({ host: '192.168.1.50', mac: 'zz:11:22:33:44:55' }).length, 1);
+});
+
+test('the platform skips invalid and duplicate displays with an error per problem', (t) => {
+  const ctx = createPlatform({
+    displays: [
+      { name: 'Lobby', host: '127.0.0.1', port: 1, pollInterval: 0 },
+      { name: 'Lobby copy', host: '127.0.0.1', port: 1, monitorId: 1, pollInterval: 0 },
+      { name: 'Chained', host: '127.0.0.1', port: 1, monitorId: 2, pollInterval: 0 },
+      { name: 'Broken', host: '127.0.0.2', pollInterval: 0, volume: { setCode: '0xZZ' } },
+      { name: 'lobby', host: '127.0.0.3', pollInterval: 0 },
+      { id: 'wall', name: 'Wall', host: '127.0.0.4', pollInterval: 0 },
+      { name: 'Wall', host: '127.0.0.5', pollInterval: 0 },
+    ],
+  });
+  t.after(() => ctx.shutdown());
+  assert.deepEqual(ctx.platform.displays.map(d => d.name), ['Lobby', 'Chained', 'Wall']);
+  const errors = ctx.log.messages.error.join('\n');
+  assert.match(errors, /Display "Lobby copy": same host, port and monitor ID as display "Lobby"/);
+  assert.match(errors, /Display "Broken": volume.setCode: "0xZZ" is not a valid code/);
+  assert.match(errors, /Display "Broken" is not loaded/);
+  // HTTP API and MQTT address displays by id or name, which must not collide either
+  assert.match(errors, /Display "lobby": same HTTP API \/ MQTT id "lobby" as display "Lobby"/);
+  assert.match(errors, /Display "Wall": same HTTP API \/ MQTT id "wall" as display "Wall"/);
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hostsInCidr, scanForDisplays } = require('..');
+const { SicpSimulator } = require('../tools/sicp-simulator');
+const { createPlatform } = require('./helpers/homebridge');
+
+test('hostsInCidr lists host addresses', () => {
+  assert.deepEqual(hostsInCidr('192.168.1.0/30'), ['192.168.1.1', '192.168.1.2']);
+  assert.deepEqual(hostsInCidr('10.0.0.7/32'), ['10.0.0.7']);
+  assert.equal(hostsInCidr('10.0.4.0/22').length, 1022);
+  assert.throws(() => hostsInCidr('10.0.0.0/8'), /between/);
+  assert.throws(() => hostsInCidr('10.0.0.300/24'), /Invalid/);
+});
+
+test('network discovery', async (t) => {
+  const sim = new SicpSimulator();
+  const port = await sim.start();
+  t.after(() => sim.stop());
+
+  await t.test('scanForDisplays identifies displays by model and serial', async () => {
+    const found = await scanForDisplays('127.0.0.1/32', { port, timeoutMs: 300 });
+    assert.deepEqual(found, [{ host: '127.0.0.1', model: '55BDL4511D/00', serial: 'AU1A1234567890' }]);
+  });
+
+  await t.test('registers discovered displays by serial and follows address changes', async () => {
+    const ctx = createPlatform({
+      displays: [],
+      discovery: { enabled: true, cidr: '127.0.0.1/32', port, timeoutMs: 300, defaults: { pollInterval: 0 } },
+    });
+    t.after(() => ctx.shutdown());
+    await ctx.platform.discovery;
+
+    assert.equal(ctx.platform.displays.length, 1);
+    const [display] = ctx.platform.displays;
+    assert.equal(display.name, '55BDL4511D 00 7890');
+    assert.equal(ctx.api.registered[0].UUID, ctx.api.hap.uuid.generate('philips-dline:serial:AU1A1234567890'));
+
+    // DHCP hands the display a new address
+    await sim.stop();
+    await sim.start(port, '127.0.0.2');
+    ctx.platform.config.discovery.cidr = '127.0.0.2/32';
+    await ctx.platform.discoverNetwork();
+    assert.equal(ctx.platform.displays.length, 1);
+    assert.equal(display.host, '127.0.0.2');
+    assert.equal(ctx.api.registered.length, 1);
+    assert.equal(await display.handleGetActive(), 1);
+  });
+
+  await t.test('skips a rescan while the previous scan is running', async () => {
+    const ctx = createPlatform({
+      displays: [],
+      discovery: { enabled: true, cidr: '127.0.0.1/32', port, timeoutMs: 300, defaults: { pollInterval: 0 } },
+    });
+    t.after(() => ctx.shutdown());
+    const startup = ctx.platform.discovery;
+    assert.equal(ctx.platform._runDiscovery(), startup);
+    assert.match(ctx.log.messages.debug.join('\n'), /still running/);
+    await startup;
+    assert.equal(ctx.platform.scanning, false);
+  });
+
+  await t.test('does not discover displays while the defaults are invalid', async () => {
+    const ctx = createPlatform({
+      displays: [],
+      discovery: {
+        enabled: true, cidr: '127.0.0.1/32', port, timeoutMs: 300,
+        defaults: { pollInterval: 0, inputs: [{ code: '0x0D', identifier: 1, launch: 'zz' }] },
+      },
+    });
+    t.after(() => ctx.shutdown());
+    await ctx.platform.discovery;
+
+    assert.equal(ctx.platform.displays.length, 0);
+    assert.equal(ctx.api.registered.length, 0);
+    assert.match(ctx.log.messages.error.join('\n'), /Discovery defaults: input .*launch/);
+  });
+});
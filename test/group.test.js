@@ -0,0 +1,90 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SicpSimulator } = require('../tools/sicp-simulator');
+const { hap, createPlatform } = require('./helpers/homebridge');
+
+const { Characteristic } = hap;
+
+test('PhilipsDLineGroupAccessory', async (t) => {
+  let sims;
+  let ctx;
+  t.beforeEach(async () => {
+    sims = [new SicpSimulator(), new SicpSimulator()];
+    for (const sim of sims) await sim.start();
+  });
+  t.afterEach(async () => {
+    ctx?.shutdown();
+    for (const sim of sims) await sim.stop();
+  });
+
+  const launch = (group) => createPlatform({
+    displays: sims.map((sim, i) => ({
+      name: `Wall ${i + 1}`, host: '127.0.0.1', port: sim.port, pollInterval: 0,
+      volume: { setCode: '0x44', muteSetCode: '0x47' },
+    })),
+    groups: [{ name: 'Video Wall', members: ['Wall 1', 'Wall 2'], ...group }],
+  });
+
+  await t.test('fans commands out to every member', async () => {
+    ctx = launch();
+    const [group] = ctx.platform.groups;
+    sims.forEach(sim => { sim.state.power = 0x01; });
+
+    await group.handleSetActive(1);
+    await group.handleSetActiveIdentifier(2);
+    await group.handleSetVolume(30);
+    await group.handleSetBrightness(40);
+    for (const sim of sims) {
+      assert.equal(sim.state.power, 0x02);
+      assert.equal(sim.state.input, 0x06);
+      assert.equal(sim.state.volume, 30);
+      assert.equal(sim.state.video[0], 40);
+    }
+    assert.equal(group.televisionService.getCharacteristic(Characteristic.Active).value, 1);
+    assert.equal(group.televisionService.getCharacteristic(Characteristic.ActiveIdentifier).value, 2);
+  });
+
+  await t.test('succeeds when only some members answer', async () => {
+    ctx = launch();
+    const [group] = ctx.platform.groups;
+    await sims[1].stop();
+    await group.handleSetActive(0);
+    assert.equal(sims[0].state.power, 0x01);
+    assert.match(ctx.log.messages.warn.join('\n'), /power failed on 1\/2 displays: Wall 2/);
+  });
+
+  await t.test('fails when no member answers', async () => {
+    ctx = launch();
+    const [group] = ctx.platform.groups;
+    await Promise.all(ctx.platform.displays.map(d => d.identifying));
+    sims.forEach(sim => sim.inject({ reply: 'nack' }));
+    await assert.rejects(group.handleSetActive(0), hap.HapStatusError);
+  });
+
+  await t.test('reports aggregate state', async () => {
+    ctx = launch();
+    const [group] = ctx.platform.groups;
+    const [a, b] = ctx.platform.displays;
+    a.active = 1;
+    b.active = 0;
+    a.volume.current = 20;
+    b.volume.current = 80;
+    const state = group._aggregate();
+    assert.equal(state.active, 1);
+    assert.equal(state.volume, 20); // only members that are on
+  });
+
+  await t.test('uses one broadcast packet through a daisy-chain master', async () => {
+    ctx = launch({ broadcast: { host: '127.0.0.1', port: sims[0].port } });
+    const [group] = ctx.platform.groups;
+    await Promise.all(ctx.platform.displays.map(d => d.identifying));
+    sims.forEach(sim => { sim.received.length = 0; });
+    await group.handleSetMute(true);
+    assert.deepEqual(sims[0].received, [[0x47, 0x01]]);
+    assert.equal(sims[0].state.mute, true);
+    assert.deepEqual(sims[1].received, []);
+    assert.ok(ctx.platform.displays.every(d => d.volume.muted));
+  });
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+/**
+ * Minimal Homebridge API stand-in for tests, backed by the real hap-nodejs
+ * services and characteristics.
+ */
+
+const { EventEmitter } = require('events');
+const os = require('os');
+const hap = require('hap-nodejs');
+const { PhilipsDLinePlatform } = require('../..');
+
+class PlatformAccessory extends hap.Accessory {
+  constructor(displayName, uuid) {
+    super(displayName, uuid);
+    this.context = {};
+  }
+}
+
+function createApi() {
+  const api = new EventEmitter();
+  api.hap = hap;
+  api.platformAccessory = PlatformAccessory;
+  api.registered = [];
+  api.registerPlatform = () => { };
+  api.registerPlatformAccessories = (plugin, platform, accessories) => api.registered.push(...accessories);
+  api.unregisterPlatformAccessories = (plugin, platform, accessories) => {
+    api.registered = api.registered.filter(a => !accessories.includes(a));
+  };
+  api.user = { storagePath: () => os.tmpdir() };
+  return api;
+}
+
+/** Logger that records every message by level */
+function createLog() {
+  const messages = { info: [], warn: [], error: [], debug: [] };
+  const log = (...args) => messages.info.push(args.join(' '));
+  for (const level of Object.keys(messages)) {
+    log[level] = (...args) => messages[level].push(args.join(' '));
+  }
+  log.messages = messages;
+  return log;
+}
+
+/** Launch the platform with the given config, restoring `cached` accessories like Homebridge does */
+function createPlatform(config, cached = []) {
+  const api = createApi();
+  const log = createLog();
+  const platform = new PhilipsDLinePlatform(log, config, api);
+  api.registered.push(...cached);
+  cached.forEach(a => platform.configureAccessory(a));
+  api.emit('didFinishLaunching');
+  return { api, log, platform, shutdown: () => api.emit('shutdown') };
+}
+
+/**
+ * Launch the platform with one display pointing at a simulator.
+ * Polling is disabled unless `conf.pollInterval` is given.
+ */
+function createDisplay(sim, conf = {}) {
+  const ctx = createPlatform({
+    displays: [{ name: 'Test TV', host: '127.0.0.1', port: sim.port, pollInterval: 0, ...conf }],
+  });
+  return { ...ctx, display: ctx.platform.displays[0] };
+}
+
+module.exports = { hap, createApi, createLog, createPlatform, createDisplay };
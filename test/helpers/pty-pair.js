@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * Linked pseudo-terminal pair for serial transport tests (like `socat pty pty`): bytes
+ * written to one path come out of the other. Needs python3; resolves with null without it.
+ */
+
+const { spawn } = require('child_process');
+
+const BRIDGE = `
+import os, pty, select, sys, tty
+m1, s1 = pty.openpty()
+m2, s2 = pty.openpty()
+for fd in (s1, s2):
+    tty.setraw(fd)
+print(os.ttyname(s1)); print(os.ttyname(s2)); sys.stdout.flush()
+while True:
+    r, _, _ = select.select([m1, m2, sys.stdin], [], [])
+    if sys.stdin in r and not os.read(sys.stdin.fileno(), 1024):
+        break
+    for src, dst in ((m1, m2), (m2, m1)):
+        if src in r:
+            data = os.read(src, 4096)
+            if data:
+                os.write(dst, data)
+`;
+
+function createPtyPair() {
+  return new Promise((resolve) => {
+    const child = spawn('python3', ['-c', BRIDGE], { stdio: ['pipe', 'pipe', 'ignore'] });
+    let out = '';
+    child.on('error', () => resolve(null));
+    child.stdout.on('data', (d) => {
+      out += d;
+      const lines = out.split('\n');
+      if (lines.length < 3) return;
+      resolve({
+        paths: [lines[0], lines[1]],
+        // Closing stdin ends the bridge
+        close: () => new Promise(res => {
+          child.once('exit', res);
+          child.stdin.end();
+        }),
+      });
+    });
+  });
+}
+
+module.exports = { createPtyPair };
@@ -0,0 +1,89 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DisplayHistory } = require('..');
+const { SicpSimulator } = require('../tools/sicp-simulator');
+const { createPlatform } = require('./helpers/homebridge');
+
+const state = (power, input = 1, reachable = true) => ({ power, input, inputLabel: `HDMI ${input}`, reachable });
+
+test('DisplayHistory', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dline-history-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  await t.test('records transitions and sums on-time per day', async () => {
+    let history = new DisplayHistory(dir, 'lobby');
+    assert.deepEqual(history.record(state(true), new Date(2030, 0, 1, 8, 0)).map(e => e.event), ['reachable', 'power', 'input']);
+    assert.deepEqual(history.record(state(true, 2), new Date(2030, 0, 1, 8, 30)).map(e => e.event), ['input']);
+    assert.deepEqual(history.record(state(true, 2), new Date(2030, 0, 1, 8, 45)), []);
+    await history.alive(new Date(2030, 0, 1, 9, 0));
+
+    // Homebridge restarts: on-time stops at the last entry before the restart
+    history = new DisplayHistory(dir, 'lobby');
+    history.record(state(true), new Date(2030, 0, 1, 22, 0));
+    history.record(state(false, 1, false), new Date(2030, 0, 2, 1, 0));
+    history.record(state(true, 1, true), new Date(2030, 0, 2, 7, 0));
+
+    const days = await history.summary(3, new Date(2030, 0, 2, 10, 0));
+    assert.deepEqual(days, [
+      { date: '2029-12-31', onAtMidnight: false, onMinutes: 0 },
+      { date: '2030-01-01', onAtMidnight: true, onMinutes: 60 + 120 },
+      { date: '2030-01-02', onAtMidnight: false, onMinutes: 60 + 180 },
+    ]);
+  });
+
+  await t.test('rotates the file and still reads both parts', async () => {
+    const history = new DisplayHistory(dir, 'small', { maxBytes: 200 });
+    for (let i = 0; i < 10; i++) history.record(state(i % 2 === 0), new Date(2030, 0, 1, 8, i));
+    await history.writing;
+    assert.ok(fs.existsSync(path.join(dir, 'small.1.jsonl')));
+    assert.ok(fs.statSync(path.join(dir, 'small.jsonl')).size <= 200);
+    const entries = await history.entries();
+    assert.ok(entries.length < 1 + 10 + 2);
+    assert.deepEqual(entries.at(-1), { t: new Date(2030, 0, 1, 8, 9).toISOString(), event: 'power', value: false });
+  });
+});
+
+test('display history from polling, HTTP summary and Eve export', async (t) => {
+  const sim = new SicpSimulator();
+  await sim.start();
+  const id = `history-test-${process.pid}`;
+  const ctx = createPlatform({
+    displays: [{ name: 'Lobby TV', id, host: '127.0.0.1', port: sim.port, pollInterval: 0, eveHistory: true }],
+    httpApi: { enabled: true, port: 0, host: '127.0.0.1', token: 'secret' },
+  });
+  const dir = path.join(ctx.api.user.storagePath(), 'philips-dline-history');
+  t.after(async () => {
+    ctx.shutdown();
+    await sim.stop();
+    for (const file of fs.readdirSync(dir).filter(f => f.startsWith(id))) fs.rmSync(path.join(dir, file), { force: true });
+  });
+  const display = ctx.platform.displays[0];
+  const eve = [];
+  display.eveHistory.addEntry = entry => eve.push(entry.status);
+
+  await display.handleGetActive();
+  sim.state.power = 0x01;
+  await display.handleGetActive();
+  const events = (await display.history.entries()).filter(e => e.event === 'power').map(e => e.value);
+  assert.deepEqual(events, [true, false]);
+  assert.deepEqual(eve, [1, 0]);
+  assert.ok(display.accessory.services.some(svc => svc.UUID === 'E863F007-079E-48FF-8F27-9C2605A29F52'));
+
+  await ctx.platform.httpApi.ready;
+  const res = await fetch(`http://127.0.0.1:${ctx.platform.httpApi.port}/displays/${id}/history?days=2`, {
+    headers: { Authorization: 'Bearer secret' },
+  });
+  const body = await res.json();
+  assert.equal(res.status, 200);
+  assert.equal(body.days.length, 2);
+  assert.equal(body.days[1].onAtMidnight, false);
+
+  const yesterday = await display._logDailySummary(new Date(Date.now() + 24 * 3600 * 1000));
+  assert.equal(yesterday.onMinutes, 0);
+  assert.match(ctx.log.messages.info.join('\n'), /Lobby TV: on for 0 h 0 min on \d{4}-\d{2}-\d{2}\./);
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SicpSimulator } = require('../tools/sicp-simulator');
+const { createPlatform } = require('./helpers/homebridge');
+
+test('HTTP control API', async (t) => {
+  const sim = new SicpSimulator();
+  await sim.start();
+  const ctx = createPlatform({
+    displays: [{ name: 'Lobby TV', host: '127.0.0.1', port: sim.port, pollInterval: 0, volume: { setCode: '0x44', muteSetCode: '0x47' } }],
+    httpApi: { enabled: true, port: 0, host: '127.0.0.1', token: 'secret' },
+  });
+  t.after(async () => {
+    ctx.shutdown();
+    await sim.stop();
+  });
+  await ctx.platform.httpApi.ready;
+  const base = `http://127.0.0.1:${ctx.platform.httpApi.port}`;
+
+  const call = async (method, path, body, token = 'secret') => {
+    const res = await fetch(base + path, {
+      method,
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  await t.test('rejects requests without the token', async () => {
+    assert.equal((await call('GET', '/displays', undefined, 'wrong')).status, 401);
+    assert.equal((await call('GET', '/displays', undefined, '')).status, 401);
+  });
+
+  await t.test('lists displays and their state', async () => {
+    const { status, body } = await call('GET', '/displays');
+    assert.equal(status, 200);
+    assert.equal(body.length, 1);
+    assert.equal(body[0].id, 'lobby-tv');
+    assert.equal((await call('GET', '/displays/lobby-tv')).body.name, 'Lobby TV');
+    assert.equal((await call('GET', '/displays/nope')).status, 404);
+  });
+
+  await t.test('sets power, input, volume, mute and brightness', async () => {
+    sim.state.power = 0x01;
+    assert.equal((await call('POST', '/displays/lobby-tv/power', { on: true })).body.power, true);
+    assert.equal((await call('POST', '/displays/lobby-tv/input', { label: 'HDMI 2' })).body.input, 2);
+    await call('POST', '/displays/lobby-tv/volume', { value: 35 });
+    await call('POST', '/displays/lobby-tv/mute', { muted: true });
+    const { body } = await call('POST', '/displays/lobby-tv/brightness', { value: 65 });
+    assert.deepEqual([sim.state.power, sim.state.input, sim.state.volume, sim.state.mute, sim.state.video[0]], [0x02, 0x06, 35, true, 65]);
+    assert.equal(body.brightness, 65);
+  });
+
+  await t.test('sends raw SICP bytes', async () => {
+    const { body } = await call('POST', '/displays/lobby-tv/raw', { data: ['0x45'] });
+    assert.equal(body.type, 'data');
+    assert.deepEqual(body.payload, [35, 15]);
+  });
+
+  await t.test('validates request bodies', async () => {
+    assert.equal((await call('POST', '/displays/lobby-tv/volume', { value: 'loud' })).status, 400);
+    assert.equal((await call('POST', '/displays/lobby-tv/input', { identifier: 9 })).status, 400);
+    assert.equal((await call('POST', '/displays/lobby-tv/raw', { data: ['0x1FF'] })).status, 400);
+    assert.equal((await call('POST', '/displays/lobby-tv/dance', {})).status, 404);
+  });
+
+  await t.test('reports display failures as 502', async () => {
+    sim.inject({ reply: 'nack' });
+    assert.equal((await call('POST', '/displays/lobby-tv/power', { on: false })).status, 502);
+  });
+});
@@ -0,0 +1,93 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const mqtt = require('mqtt');
+const { SicpSimulator } = require('../tools/sicp-simulator');
+const { createPlatform } = require('./helpers/homebridge');
+
+/** In-process MQTT broker on a random port */
+async function startBroker() {
+  const { Aedes } = await import('aedes');
+  const broker = await Aedes.createBroker();
+  const server = net.createServer(broker.handle);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `mqtt://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => broker.close(() => server.close(() => resolve()))),
+  };
+}
+
+test('MQTT bridge', async (t) => {
+  const sim = new SicpSimulator();
+  await sim.start();
+  const broker = await startBroker();
+  const ctx = createPlatform({
+    displays: [{ name: 'Lobby TV', host: '127.0.0.1', port: sim.port, pollInterval: 0, volume: { setCode: '0x44', muteSetCode: '0x47' } }],
+    mqtt: { enabled: true, url: broker.url, topic: 'dline', homeAssistantDiscovery: true },
+  });
+  await ctx.platform.mqtt.ready;
+  const display = ctx.platform.displays[0];
+
+  // Observer client recording the last payload of every topic
+  const observer = mqtt.connect(broker.url);
+  const messages = new Map();
+  observer.on('message', (topic, payload) => messages.set(topic, payload.toString()));
+  await new Promise(resolve => observer.once('connect', resolve));
+  await observer.subscribeAsync(['dline/#', 'homeassistant/#']);
+  t.after(async () => {
+    await observer.endAsync();
+    ctx.shutdown();
+    await ctx.platform.mqtt.close();
+    await broker.close();
+    await sim.stop();
+  });
+
+  const waitFor = async (topic, payload) => {
+    for (let i = 0; i < 100 && messages.get(topic) !== payload; i++) await new Promise(res => setTimeout(res, 20));
+    assert.equal(messages.get(topic), payload, topic);
+  };
+
+  await t.test('publishes retained state and bridge status', async () => {
+    await waitFor('dline/status', 'online');
+    await waitFor('dline/lobby-tv/input', 'HDMI 1');
+    assert.equal(JSON.parse(messages.get('dline/lobby-tv/state')).id, 'lobby-tv');
+  });
+
+  await t.test('publishes state changes found by polling', async () => {
+    sim.state.volume = 42;
+    await display._poll();
+    await waitFor('dline/lobby-tv/power', 'ON');
+    await waitFor('dline/lobby-tv/volume', '42');
+  });
+
+  await t.test('set topics go through the accessory handlers', async () => {
+    observer.publish('dline/lobby-tv/input/set', 'HDMI 2');
+    await waitFor('dline/lobby-tv/input', 'HDMI 2');
+    observer.publish('dline/lobby-tv/volume/set', '30');
+    await waitFor('dline/lobby-tv/volume', '30');
+    observer.publish('dline/lobby-tv/mute/set', 'ON');
+    await waitFor('dline/lobby-tv/mute', 'ON');
+    observer.publish('dline/lobby-tv/power/set', 'OFF');
+    await waitFor('dline/lobby-tv/power', 'OFF');
+    assert.deepEqual([sim.state.input, sim.state.volume, sim.state.mute, sim.state.power], [0x06, 30, true, 0x01]);
+    assert.equal(display.televisionService.getCharacteristic(ctx.api.hap.Characteristic.Active).value, 0);
+  });
+
+  await t.test('rejected commands are logged and the real state re-published', async () => {
+    observer.publish('dline/lobby-tv/input/set', 'VGA');
+    for (let i = 0; i < 50 && !ctx.log.messages.error.some(m => m.includes('unknown input')); i++) await new Promise(res => setTimeout(res, 20));
+    assert.ok(ctx.log.messages.error.some(m => m.includes('unknown input "VGA"')));
+    assert.equal(sim.state.input, 0x06);
+  });
+
+  await t.test('announces Home Assistant discovery entities', async () => {
+    await waitFor('dline/lobby-tv/reachable', 'online');
+    const topic = [...messages.keys()].find(k => k.startsWith('homeassistant/select/') && k.endsWith('/input/config'));
+    const config = JSON.parse(messages.get(topic));
+    assert.deepEqual(config.options, ['HDMI 1', 'HDMI 2', 'HDMI 3', 'HDMI 4']);
+    assert.equal(config.command_topic, 'dline/lobby-tv/input/set');
+    assert.equal(config.availability_topic, 'dline/status');
+  });
+});
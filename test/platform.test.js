@@ -0,0 +1,97 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hap, createPlatform } = require('./helpers/homebridge');
+
+const { Service, Characteristic } = hap;
+
+/** Start the platform, then "restart" it with the accessories cached by the first run */
+function restart(first, config) {
+  first.shutdown();
+  return createPlatform(config, first.api.registered);
+}
+
+test('platform accessory identity and cleanup', async (t) => {
+  const display = { host: '127.0.0.1', port: 1, pollInterval: 0 };
+
+  await t.test('a display with an id keeps its accessory when renamed', () => {
+    const first = createPlatform({ displays: [{ ...display, id: 'lobby', name: 'Lobby TV' }] });
+    const uuid = first.api.registered[0].UUID;
+    const second = restart(first, { displays: [{ ...display, id: 'lobby', name: 'Entrance TV' }] });
+    t.after(() => second.shutdown());
+    assert.deepEqual(second.api.registered.map(a => a.UUID), [uuid]);
+    assert.equal(second.platform.displays[0].id, 'lobby');
+  });
+
+  await t.test('cached accessories no longer configured are unregistered', () => {
+    const first = createPlatform({ displays: [{ ...display, name: 'A' }, { ...display, port: 2, name: 'B' }] });
+    const second = restart(first, { displays: [{ ...display, name: 'A' }] });
+    t.after(() => second.shutdown());
+    assert.deepEqual(second.api.registered.map(a => a.displayName), ['A']);
+    assert.match(second.log.messages.info.join('\n'), /Removing accessory no longer in the configuration: B/);
+  });
+
+  await t.test('invalid config keeps cached accessory', () => {
+    const first = createPlatform({ displays: [{ ...display, id: 'lobby', name: 'Lobby' }] });
+    const uuid = first.api.registered[0].UUID;
+    const second = restart(first, { displays: [{ ...display, id: 'lobby', name: 'Lobby', volume: { setCode: '0xZZ' } }] });
+    t.after(() => second.shutdown());
+    assert.equal(second.platform.displays.length, 0);
+    assert.deepEqual(second.api.registered.map(a => a.UUID), [uuid]);
+    assert.doesNotMatch(second.log.messages.info.join('\n'), /Removing accessory/);
+  });
+
+  await t.test('a group whose members all have an invalid config keeps its accessory', () => {
+    const groups = [{ name: 'Wall', members: ['Lobby'] }];
+    const first = createPlatform({ displays: [{ ...display, id: 'lobby', name: 'Lobby' }], groups });
+    const second = restart(first, {
+      displays: [{ ...display, id: 'lobby', name: 'Lobby', volume: { setCode: '0xZZ' } }],
+      groups,
+    });
+    t.after(() => second.shutdown());
+    assert.equal(second.platform.groups.length, 0);
+    assert.deepEqual(second.api.registered.map(a => a.displayName), ['Lobby', 'Wall']);
+  });
+
+  await t.test('discovered accessories are kept while discovery is enabled', () => {
+    const first = createPlatform({ displays: [{ ...display, name: 'Found', serial: 'AU123' }] });
+    const second = restart(first, { displays: [], discovery: { enabled: true } });
+    t.after(() => second.shutdown());
+    assert.equal(second.api.registered.length, 1);
+  });
+
+  await t.test('one shutdown listener however many displays', () => {
+    const displays = Array.from({ length: 12 }, (_, i) => ({ ...display, port: i + 1, name: `TV ${i + 1}` }));
+    const ctx = createPlatform({
+      displays: displays.map(d => ({ ...d, pollInterval: 60, schedule: [{ start: '08:00', end: '18:00' }], history: true, eveHistory: true })),
+      groups: [{ name: 'Wall', members: ['TV 1', 'TV 2'], broadcast: { host: '127.0.0.1', port: 1 } }],
+    });
+    assert.equal(ctx.api.listenerCount('shutdown'), 1);
+    ctx.shutdown();
+    assert.ok(ctx.platform.displays.every(d => d.stopped));
+    assert.equal(ctx.api.globalFakeGatoTimer.running, false);
+  });
+
+  await t.test('input services and switches are reconciled by subtype', () => {
+    const inputs = [
+      { label: 'HDMI 1', code: '0x0D', identifier: 1 },
+      { label: 'HDMI 2', code: '0x06', identifier: 2 },
+    ];
+    const first = createPlatform({ displays: [{ ...display, id: 'tv', inputs, exposeInputSwitches: true }] });
+    const second = restart(first, {
+      displays: [{ ...display, id: 'tv', inputs: [{ label: 'Player', code: '0x0D', identifier: 1 }], exposeInputSwitches: true }],
+    });
+    const accessory = second.api.registered[0];
+    const sources = accessory.services.filter(s => s.UUID === Service.InputSource.UUID);
+    assert.deepEqual(sources.map(s => s.getCharacteristic(Characteristic.ConfiguredName).value), ['Player']);
+    const switches = accessory.services.filter(s => s.UUID === Service.Switch.UUID);
+    assert.deepEqual(switches.map(s => s.subtype), ['switch-1']);
+    assert.equal(switches[0].getCharacteristic(Characteristic.Name).value, 'Player Switch');
+
+    // Switches disabled: removed on the next start
+    const third = restart(second, { displays: [{ ...display, id: 'tv', inputs: [{ label: 'Player', code: '0x0D', identifier: 1 }] }] });
+    t.after(() => third.shutdown());
+    assert.equal(third.api.registered[0].services.filter(s => s.UUID === Service.Switch.UUID).length, 0);
+  });
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SerialPort } = require('serialport');
+const { SicpClient, SerialTransport, buildSicpPacket, parseReply } = require('..');
+const { SicpSimulator } = require('../tools/sicp-simulator');
+const { createPlatform } = require('./helpers/homebridge');
+const { createPtyPair } = require('./helpers/pty-pair');
+
+test('serial transport over a pseudo-terminal pair', async (t) => {
+  const pty = await createPtyPair();
+  if (!pty) return t.skip('python3 is needed to create a pseudo-terminal pair');
+  const [hostSide, displaySide] = pty.paths;
+
+  // Two daisy-chained displays answering on the same line
+  const line = new SerialPort({ path: displaySide, baudRate: 9600 });
+  await new Promise(resolve => line.once('open', resolve));
+  const first = new SicpSimulator({ monitorId: 1 }).attach(line);
+  const second = new SicpSimulator({ monitorId: 2, state: { power: 0x01 } }).attach(line);
+  t.after(async () => {
+    await new Promise(resolve => line.close(() => resolve()));
+    await pty.close();
+  });
+
+  await t.test('SicpClient talks SICP over the serial port', async () => {
+    const client = new SicpClient(null, null, 500, { transport: new SerialTransport(hostSide, 9600) });
+    const reply = parseReply(await client.send(buildSicpPacket(1, [0x19])), { monitorId: 1 }, 0x19);
+    assert.deepEqual(reply.payload, [0x02]);
+    // The port stays locked until it is closed
+    await new Promise((resolve) => {
+      client.socket.once('close', resolve);
+      client.close();
+    });
+  });
+
+  const ctx = createPlatform({
+    displays: [
+      { name: 'Wall 1', transport: 'serial', path: hostSide, monitorId: 1, pollInterval: 0 },
+      { name: 'Wall 2', transport: 'serial', path: hostSide, monitorId: 2, pollInterval: 0 },
+      { name: 'Missing', transport: 'serial', path: hostSide, monitorId: 9, pollInterval: 0 },
+    ],
+  });
+  const [a, b, missing] = ctx.platform.displays;
+  t.after(() => ctx.shutdown());
+
+  await t.test('daisy-chained displays share one port and are addressed by monitor ID', async () => {
+    assert.equal(a.client, b.client);
+
+    const [powerA, powerB] = await Promise.all([a.handleGetActive(), b.handleGetActive()]);
+    assert.deepEqual([powerA, powerB], [1, 0]);
+    await b.handleSetActive(1);
+    await a._setInputByIdentifier(2);
+    assert.deepEqual([first.state.input, second.state.power, second.state.input], [0x06, 0x02, 0x0D]);
+  });
+
+  await t.test('a silent display on the bus does not close the port for the others', async () => {
+    missing.client.timeoutMs = 200;
+    await missing.handleGetActive();
+    assert.equal(await missing.handleGetActive(), 0);
+    assert.equal(missing.reachable, false);
+    const socket = a.client.socket;
+    assert.equal(await a.handleGetActive(), 1);
+    assert.equal(a.client.socket, socket);
+  });
+});
+
+test('serial displays are validated', () => {
+  const ctx = createPlatform({
+    displays: [
+      { name: 'No path', transport: 'serial', pollInterval: 0 },
+      { name: 'Woken', transport: 'serial', path: '/dev/null', mac: '00:11:22:33:44:55', pollInterval: 0 },
+    ],
+  });
+  ctx.shutdown();
+  assert.equal(ctx.platform.displays.length, 0);
+  const errors = ctx.log.messages.error.join('\n');
+  assert.match(errors, /Display "No path": "path" of the serial port is required/);
+  assert.match(errors, /Display "Woken": "mac" \(Wake-on-LAN\) needs transport "tcp"/);
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSicpPacket, splitFrames, decodeFrame, parseReply, parseBytes, CoalescingSetter } = require('..');
+
+test('buildSicpPacket adds length and XOR checksum', () => {
+  assert.deepEqual([...buildSicpPacket(1, [0x18, 0x02])], [0x06, 0x01, 0x00, 0x18, 0x02, 0x1D]);
+  assert.deepEqual([...buildSicpPacket(1, [0x19], false)], [0x04, 0x01, 0x19, 0x1C]);
+});
+
+test('splitFrames separates concatenated replies and keeps the partial tail', () => {
+  const ack = buildSicpPacket(1, [0x00, 0x06]);
+  const power = buildSicpPacket(1, [0x19, 0x02]);
+  const { frames, rest } = splitFrames(Buffer.concat([ack, power, power.subarray(0, 3)]));
+  assert.equal(frames.length, 2);
+  assert.deepEqual([...frames[1]], [...power]);
+  assert.equal(rest.length, 3);
+});
+
+test('splitFrames rejects impossible length bytes', () => {
+  assert.throws(() => splitFrames(Buffer.from([0x00, 0x01])), /invalid length/);
+});
+
+test('decodeFrame types ACK, NACK, NAV and data replies', () => {
+  assert.equal(decodeFrame(buildSicpPacket(1, [0x00, 0x06])).type, 'ack');
+  assert.equal(decodeFrame(buildSicpPacket(1, [0x00, 0x15])).type, 'nack');
+  assert.equal(decodeFrame(buildSicpPacket(1, [0x00, 0x18])).type, 'nav');
+  // Older firmwares omit the 0x00 command byte
+  assert.equal(decodeFrame(buildSicpPacket(1, [0x15])).type, 'nack');
+
+  const data = decodeFrame(buildSicpPacket(1, [0xAD, 0x0D, 0x00]));
+  assert.equal(data.type, 'data');
+  assert.equal(data.command, 0xAD);
+  assert.deepEqual(data.payload, [0x0D, 0x00]);
+});
+
+test('decodeFrame validates checksum and echoed IDs', () => {
+  const pkt = buildSicpPacket(1, [0x19, 0x02]);
+  const corrupt = Buffer.from(pkt);
+  corrupt[corrupt.length - 1] ^= 0xFF;
+  assert.throws(() => decodeFrame(corrupt), /checksum/);
+  assert.throws(() => decodeFrame(pkt, { monitorId: 2 }), /monitor/);
+  assert.throws(() => decodeFrame(pkt, { groupId: 3 }), /group/);
+  assert.equal(decodeFrame(pkt, { monitorId: 0 }).type, 'data'); // broadcast accepts any monitor
+  assert.throws(() => decodeFrame(pkt.subarray(0, 5)), /length/);
+});
+
+test('decodeFrame without group byte', () => {
+  const r = decodeFrame(buildSicpPacket(1, [0x19, 0x01], false), { includeGroup: false, monitorId: 1 });
+  assert.equal(r.command, 0x19);
+  assert.deepEqual(r.payload, [0x01]);
+});
+
+test('parseReply prefers the data reply for the requested command', () => {
+  const buf = Buffer.concat([buildSicpPacket(1, [0x00, 0x06]), buildSicpPacket(1, [0x19, 0x02])]);
+  assert.equal(parseReply(buf, {}, 0x19).command, 0x19);
+  assert.equal(parseReply(buf).type, 'ack');
+  assert.equal(parseReply(Buffer.alloc(0)).type, 'none');
+  assert.equal(parseReply(buildSicpPacket(1, [0x19, 0x02], false), false, 0x19).payload[0], 0x02);
+});
+
+test('parseBytes accepts arrays and strings of bytes', () => {
+  assert.deepEqual(parseBytes(['0x1C', 2, '10']), [0x1C, 0x02, 0x0A]);
+  assert.deepEqual(parseBytes('0x1C, 0x02'), [0x1C, 0x02]);
+  assert.throws(() => parseBytes('0x1C 0x100'), /Invalid byte: 0x100/);
+  assert.throws(() => parseBytes(''), /non-empty/);
+});
+
+test('CoalescingSetter applies only the latest pending target', async () => {
+  const applied = [];
+  const setter = new CoalescingSetter(async (v) => {
+    await new Promise(res => setTimeout(res, 10));
+    if (v === 'bad') throw new Error('rejected');
+    applied.push(v);
+  });
+  await Promise.all([1, 2, 3, 4].map(v => setter.set(v)));
+  assert.deepEqual(applied, [1, 4]);
+  // A failed target replaced by a newer one doesn't fail the callers
+  await Promise.all([setter.set('bad'), setter.set(5)]);
+  assert.deepEqual(applied, [1, 4, 5]);
+  await assert.rejects(setter.set('bad'), /rejected/);
+  assert.equal(setter.running, null);
+});
@@ -0,0 +1,51 @@
+'use strict';
+
+/**
+ * Raw SICP command console, to try bytes against a display before putting them in
+ * "customCommands".
+ *
+ * Each line is one command's DATA bytes (e.g. "0x1D" or "0x1C 0x02"); the console adds
+ * length, monitor/group IDs and checksum, sends it and prints the decoded reply.
+ *
+ * Usage: node tools/sicp-console.js <host> [--port 5000] [--monitor 1] [--group 0] [--no-group]
+ */
+
+const readline = require('readline');
+const { SicpClient, buildSicpPacket, parseReply, parseBytes, formatBytes } = require('..');
+
+const args = process.argv.slice(2);
+const opt = (name, def) => {
+  const i = args.indexOf(name);
+  return i >= 0 ? Number(args[i + 1]) : def;
+};
+const host = args[0];
+if (!host || host.startsWith('--')) {
+  console.error('Usage: node tools/sicp-console.js <host> [--port 5000] [--monitor 1] [--group 0] [--no-group]');
+  process.exit(1);
+}
+const port = opt('--port', 5000);
+const options = { monitorId: opt('--monitor', 1), groupId: opt('--group', 0), includeGroup: !args.includes('--no-group') };
+
+const client = new SicpClient(host, port, 2000, { persistent: true });
+const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: 'sicp> ' });
+console.log(`Connected to ${host}:${port} (monitor ${options.monitorId}). Type DATA bytes, e.g. 0x19; Ctrl-D to quit.`);
+rl.prompt();
+
+let queue = Promise.resolve(); // answer lines in order, even when pasted at once
+rl.on('line', (line) => {
+  queue = queue.then(async () => {
+    if (line.trim()) {
+      try {
+        const data = parseBytes(line);
+        const pkt = buildSicpPacket(options.monitorId, data, options.includeGroup, options.groupId);
+        console.log(`TX ${formatBytes(pkt)}`);
+        const reply = parseReply(await client.send(pkt), options, data[0]);
+        console.log(`RX ${reply.raw} -> ${reply.type}${reply.payload?.length ? ` ${formatBytes(reply.payload)}` : ''}`);
+      } catch (e) {
+        console.log(`Error: ${e.message}`);
+      }
+    }
+    rl.prompt();
+  });
+});
+rl.on('close', () => queue.then(() => client.close()));
@@ -0,0 +1,327 @@
+'use strict';
+
+/**
+ * Local SICP display simulator for offline development and tests.
+ *
+ * Listens on a TCP port and answers SICP packets like a D-Line display would, keeping
+ * state for power, input, volume, audio parameters, video parameters, mute, on/off timers and remote key presses, and
+ * answers identity queries (model, serial, firmware, SICP version). Faults (NACK/NAV replies,
+ * delays, split frames, corrupted checksums and dropped connections) can be injected
+ * for the next command(s) with `inject()`.
+ *
+ * The same simulator answers on any stream with `attach()`, e.g. a serial port; several
+ * simulators attached to one stream behave like daisy-chained displays on an RS232 bus.
+ *
+ * Usage: node tools/sicp-simulator.js [--port 5000] [--monitor 1] [--group 0] [--no-group]
+ *        node tools/sicp-simulator.js --serial /dev/ttyUSB0 [--baud 9600] [--monitor 1]
+ */
+
+const net = require('net');
+const { EventEmitter } = require('events');
+const { buildSicpPacket, splitFrames, formatBytes } = require('..');
+
+const ACK = 0x06;
+const NACK = 0x15;
+const NAV = 0x18;
+
+class SicpSimulator extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.monitorId = options.monitorId ?? 1;
+    this.groupId = options.groupId ?? 0x00;
+    this.includeGroup = options.includeGroup !== false;
+    this.muteSetCode = options.muteSetCode ?? 0x47;
+    this.muteToggleCode = options.muteToggleCode ?? 0x48;
+    this.muteGetCode = options.muteGetCode ?? 0x49;
+    // Relative volume (one step per command), off unless configured
+    this.volumeUpCode = options.volumeUpCode ?? null;
+    this.volumeDownCode = options.volumeDownCode ?? null;
+    // Internal speakers / audio out selection, off unless configured
+    this.speakerSetCode = options.speakerSetCode ?? null;
+    this.speakerGetCode = options.speakerGetCode ?? null;
+    // After power on, report standby and answer NAV to other commands for this long
+    this.bootMs = options.bootMs ?? 0;
+    this.bootingUntil = 0;
+
+    this.state = {
+      power: 0x02, // 0x01 = Off (standby), 0x02 = On
+      input: 0x0D, // HDMI 1
+      volume: 15,
+      audioOutVolume: 15,
+      mute: false,
+      treble: 50,
+      bass: 50,
+      speakers: 0x00,
+      // [Brightness, Color, Contrast, Sharpness, Tint, BlackLevel, Gamma]
+      video: [50, 50, 50, 50, 50, 50, 0x01],
+      remoteKeys: [], // key codes received through IR remote-control simulation
+      powerSaveMode: 0x07,
+      lock: 0x01, // IR remote / keypad lock: 0x01 = unlock all, 0x02 = lock all
+      temperatures: [38, 41], // °C per sensor
+      operatingHours: 1234,
+      schedules: {}, // on/off timer pages: page -> [startH, startM, endH, endM, input, days, playlist]
+      ...options.state,
+    };
+
+    this.identity = {
+      model: '55BDL4511D/00',
+      firmware: 'FB01.03.05',
+      serial: 'AU1A1234567890',
+      sicpVersion: '2.09',
+      platformLabel: 'Android',
+      platformVersion: '7.1.2',
+      ...options.identity,
+    };
+
+    this.faults = [];
+    this.received = []; // data bytes of every command, in order
+    this.connections = 0;
+    this.server = null;
+    this.sockets = new Set();
+  }
+
+  /** Start listening; resolves with the bound port (use port 0 for a random one) */
+  start(port = 0, host = '127.0.0.1') {
+    this.server = net.createServer(socket => this._onConnection(socket));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.port = this.server.address().port;
+        resolve(this.port);
+      });
+    });
+  }
+
+  stop() {
+    for (const s of this.sockets) s.destroy();
+    this.sockets.clear();
+    if (!this.server) return Promise.resolve();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Queue faults for the next commands, one per command, e.g.
+   *   { reply: 'nack' | 'nav' }, { delayMs: 500 }, { split: true },
+   *   { corrupt: true }, { drop: true }
+   */
+  inject(...faults) {
+    this.faults.push(...faults);
+    return this;
+  }
+
+  /** Drop every open client connection */
+  disconnectAll() {
+    for (const s of this.sockets) s.destroy();
+  }
+
+  /** Answer SICP packets arriving on a stream (serial port, pipe...) */
+  attach(stream) {
+    this._onConnection(stream);
+    return this;
+  }
+
+  _onConnection(socket) {
+    this.connections++;
+    this.sockets.add(socket);
+    let buf = Buffer.alloc(0);
+    let chain = Promise.resolve(); // answer frames in order, even when a reply is delayed
+
+    socket.on('data', (d) => {
+      buf = Buffer.concat([buf, d]);
+      let frames;
+      try {
+        ({ frames } = splitFrames(buf));
+      } catch (e) {
+        this.emit('protocolError', e);
+        buf = Buffer.alloc(0);
+        return;
+      }
+      buf = buf.subarray(frames.reduce((n, f) => n + f.length, 0));
+      for (const frame of frames) chain = chain.then(() => this._onFrame(socket, frame));
+    });
+    socket.on('error', () => { });
+    socket.on('close', () => this.sockets.delete(socket));
+  }
+
+  async _onFrame(socket, frame) {
+    const bytes = [...frame];
+    const dataIdx = this.includeGroup ? 3 : 2;
+    const monitorId = bytes[1];
+    const data = bytes.slice(dataIdx, -1);
+
+    let checksum = 0x00;
+    for (const b of bytes.slice(0, -1)) checksum ^= b;
+    if (checksum !== bytes[bytes.length - 1]) {
+      this.emit('protocolError', new Error(`Bad checksum: ${formatBytes(bytes)}`));
+      return;
+    }
+    // Displays silently ignore packets for other monitors; broadcast (0) is executed without a reply
+    if (monitorId !== 0 && monitorId !== this.monitorId) return;
+
+    this.received.push(data);
+    const fault = this.faults.shift() || {};
+    const replyData = fault.reply ? [0x00, fault.reply === 'nack' ? NACK : NAV] : this.handle(data);
+    this.emit('command', data, replyData);
+    if (monitorId === 0) return;
+
+    if (fault.delayMs) await new Promise(res => setTimeout(res, fault.delayMs));
+    if (fault.drop || socket.destroyed) {
+      socket.destroy();
+      return;
+    }
+
+    const reply = buildSicpPacket(this.monitorId, replyData, this.includeGroup, this.groupId);
+    if (fault.corrupt) reply[reply.length - 1] ^= 0xFF;
+    if (fault.split) {
+      socket.write(reply.subarray(0, 2));
+      await new Promise(res => setTimeout(res, 20));
+      if (!socket.destroyed) socket.write(reply.subarray(2));
+    } else {
+      socket.write(reply);
+    }
+  }
+
+  _booting() {
+    return Date.now() < this.bootingUntil;
+  }
+
+  /** Apply one command to the state and return the reply DATA bytes */
+  handle(data) {
+    const [cmd, ...args] = data;
+    const s = this.state;
+    const noChange = (v, current) => (v === undefined || v === 0xFF) ? current : v;
+
+    switch (cmd) {
+      case 0x18: // Power Set
+        if (args[0] !== 0x01 && args[0] !== 0x02) return [0x00, NACK];
+        if (args[0] === 0x02 && s.power !== 0x02) this.bootingUntil = Date.now() + this.bootMs;
+        s.power = args[0];
+        return [0x00, ACK];
+      case 0x19: // Power Get
+        return [0x19, this._booting() ? 0x01 : s.power];
+      case 0xA1: { // Model Number / FW Version / Build Date Get
+        const label = [this.identity.model, this.identity.firmware, '2019-06-01'][args[0] ?? 0];
+        return label == null ? [0x00, NAV] : [0xA1, ...Buffer.from(label, 'latin1')];
+      }
+      case 0x15: // Serial Code Get
+        return [0x15, ...Buffer.from(this.identity.serial, 'latin1')];
+      case 0xA2: { // Platform and Version Labels Get
+        const label = [this.identity.sicpVersion, this.identity.platformLabel, this.identity.platformVersion][args[0] ?? 0];
+        return label == null ? [0x00, NAV] : [0xA2, ...Buffer.from(label, 'latin1')];
+      }
+      default:
+        break;
+    }
+
+    if (this._booting()) return [0x00, NAV];
+
+    switch (cmd) {
+      case 0xAC: // Input Source Set
+        if (args[0] === undefined) return [0x00, NACK];
+        s.input = args[0];
+        return [0x00, ACK];
+      case 0xAD: // Current Source Get
+        return [0xAD, s.input, 0x00, 0x00, 0x00];
+      case 0x44: // Volume Set [speaker, audio out]
+        s.volume = noChange(args[0], s.volume);
+        s.audioOutVolume = noChange(args[1], s.audioOutVolume);
+        return [0x00, ACK];
+      case 0x45: // Volume Get
+        return [0x45, s.volume, s.audioOutVolume];
+      case 0x42: // Audio Parameters Set [treble, bass]
+        s.treble = noChange(args[0], s.treble);
+        s.bass = noChange(args[1], s.bass);
+        return [0x00, ACK];
+      case 0x43: // Audio Parameters Get
+        return [0x43, s.treble, s.bass];
+      case 0x32: // Video Parameters Set
+        s.video = s.video.map((v, i) => noChange(args[i], v));
+        return [0x00, ACK];
+      case 0x33: // Video Parameters Get
+        return [0x33, ...s.video];
+      case 0x2F: // Temperature Get
+        return [0x2F, ...s.temperatures];
+      case 0x0F: // Miscellaneous Info Get (0x02 = operating hours)
+        if (args[0] !== 0x02) return [0x00, NAV];
+        return [0x0F, (s.operatingHours >> 8) & 0xFF, s.operatingHours & 0xFF];
+      case 0xD2: // Power Saving Mode Set
+        s.powerSaveMode = args[0];
+        return [0x00, ACK];
+      case 0x1C: // IR Remote / Keypad Lock Set
+        if (args[0] === undefined) return [0x00, NACK];
+        s.lock = args[0];
+        return [0x00, ACK];
+      case 0x1D: // IR Remote / Keypad Lock Get
+        return [0x1D, s.lock];
+      case 0x5A: // Scheduling Set
+        if (!(args[0] >= 1 && args[0] <= 7) || args.length < 8) return [0x00, NACK];
+        s.schedules[args[0]] = args.slice(1);
+        return [0x00, ACK];
+      case 0x5B: // Scheduling Get
+        return s.schedules[args[0]] ? [0x5B, args[0], ...s.schedules[args[0]]] : [0x00, NAV];
+      case 0xDB: // IR Remote Control Simulation
+        s.remoteKeys.push(args[0]);
+        return [0x00, ACK];
+      default:
+        break;
+    }
+
+    if (cmd === this.muteSetCode) {
+      s.mute = args[0] === 0x01;
+      return [0x00, ACK];
+    }
+    if (cmd === this.muteToggleCode) {
+      s.mute = !s.mute;
+      return [0x00, ACK];
+    }
+    if (cmd === this.muteGetCode) {
+      return [cmd, s.mute ? 0x01 : 0x00];
+    }
+    if (cmd === this.speakerSetCode) {
+      s.speakers = args[0];
+      return [0x00, ACK];
+    }
+    if (cmd === this.speakerGetCode) {
+      return [cmd, s.speakers];
+    }
+    if (cmd === this.volumeUpCode || cmd === this.volumeDownCode) {
+      s.volume = Math.min(100, Math.max(0, s.volume + (cmd === this.volumeUpCode ? 1 : -1)));
+      return [0x00, ACK];
+    }
+    return [0x00, NAV];
+  }
+}
+
+module.exports = { SicpSimulator };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const opt = (name, def) => {
+    const i = args.indexOf(name);
+    return i >= 0 ? Number(args[i + 1]) : def;
+  };
+  const sim = new SicpSimulator({
+    monitorId: opt('--monitor', 1),
+    groupId: opt('--group', 0),
+    includeGroup: !args.includes('--no-group'),
+  });
+  sim.on('command', (data, reply) => console.log(`RX ${formatBytes(data)} -> ${formatBytes(reply)}`));
+  sim.on('protocolError', (e) => console.warn(e.message));
+  const serialIdx = args.indexOf('--serial');
+  if (serialIdx >= 0) {
+    const { SerialPort } = require('serialport');
+    const path = args[serialIdx + 1];
+    const port = new SerialPort({ path, baudRate: opt('--baud', 9600) }, (err) => {
+      if (err) {
+        console.error(err.message);
+        process.exit(1);
+      }
+      console.log(`SICP simulator answering on ${path} (monitor ${sim.monitorId})`);
+    });
+    sim.attach(port);
+  } else {
+    sim.start(opt('--port', 5000), '0.0.0.0').then(port => {
+      console.log(`SICP simulator listening on tcp/${port} (monitor ${sim.monitorId})`);
+    });
+  }
+}